@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { utils } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+
+const EXIT_CODE = {
+    SUCCESS: 0,
+    ERROR: 1,
+    USAGE: 2,
+};
+
+const USAGE = `Usage: web3-wallet <command> [options]
+
+Commands:
+  accounts    List the derived accounts and their derivation paths.
+  keys        List the derived accounts and their private keys.
+  balances    List the derived accounts and their balances in ETH.
+  export      Write every account to an encrypted JSON keystore file, or print a Hardhat,
+              Truffle or ganache-cli configuration for the accounts.
+  send        Send ETH from a derived account.
+  xpub        Print the extended public key of the derivation path, for watch-only wallets.
+
+Options:
+  --network <name>        The Ethereum network, e.g. GANACHE, GANACHE_CORE or SEPOLIA.
+  --networks <file>       A JSON file of extra networks keyed by name.
+  --rpc-port <port>       The JSON-RPC node port for the GANACHE network.
+  --count <n>             The number of accounts to derive.
+  --balance <eth[,eth]>   The balance(s) of the accounts on local networks.
+  --path <path>           A derivation path preset or template containing {index}.
+  --start-index <n>       The index of the first account to derive.
+  --locale <locale>       The BIP39 wordlist locale of the mnemonic.
+  --xpub <key>            Watch the accounts of an extended public key instead of
+                          deriving them from the mnemonic.
+  --aliases <file>        A JSON file of account indices keyed by alias, e.g.
+                          {"deployer": 0}. Defaults to ALIASES_FILE.
+  --json                  Print JSON instead of text.
+  --help                  Print this message.
+
+keys options:
+  --format <format>       table, json, csv or env (e.g. PRIVATE_KEY_0=). Defaults to table.
+  --columns <a,b,...>     Any of index, alias, address, balance, path, publicKey,
+                          privateKey.
+  --mask                  Truncate the private keys.
+
+export options:
+  --format <format>       keystore, hardhat, truffle, ganache or ganache-mnemonic.
+                          Defaults to keystore.
+  --out <dir>             The keystore directory. Defaults to ./keystore.
+  --password <password>   The keystore password. Defaults to KEYSTORE_PASSWORD.
+  --scrypt-n <n>          The scrypt N parameter.
+
+send options:
+  --from <index|alias>    The index or alias of the sending account.
+  --to <address|index>    The recipient address, or account index or alias.
+  --amount <eth>          The amount of ETH to send.
+
+xpub options:
+  --account <n>           Another BIP44 account. Defaults to the --path one.
+
+The mnemonic and its passphrase are read from the MNEMONIC and MNEMONIC_PASSPHRASE
+environment variables (or .env).`;
+
+const BOOLEAN_OPTIONS = ['json', 'help', 'mask'];
+
+/**
+ * Error for invalid command-line usage.
+ */
+class UsageError extends Error { }
+
+/**
+ * Parse the command-line arguments into a command and its options.
+ *
+ * @param {Array.<string>} argv The command-line arguments, without the node and script paths.
+ * @returns {{command: string, options: Object}} The command and the options keyed by their
+ * camel-cased names.
+ */
+const parseArgs = (argv) => {
+    const _options = {};
+    const _positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const _arg = argv[i];
+
+        if (!_arg.startsWith('--')) {
+            _positionals.push(_arg);
+            continue;
+        }
+
+        let [_name, _value] = _arg.substring(2).split(/=(.*)/s);
+        _name = _name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+        if (BOOLEAN_OPTIONS.includes(_name)) {
+            _options[_name] = _value === undefined || _value !== 'false';
+            continue;
+        }
+
+        if (_value === undefined) {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+                throw new UsageError(`Option --${_arg.substring(2)} requires a value.`);
+            }
+            _value = argv[++i];
+        }
+
+        _options[_name] = _value;
+    }
+
+    if (_positionals.length > 1) {
+        throw new UsageError(`Unexpected argument '${_positionals[1]}'.`);
+    }
+
+    return { command: _positionals[0], options: _options };
+}
+
+/**
+ * Map the command-line options onto a WalletParamsObj.
+ *
+ * @param {Object} options The parsed options.
+ * @returns {WalletParamsObj} The input parameter object for building the Web3 wallet.
+ */
+const toWalletParams = (options) => {
+    const _params = {};
+
+    if (options.network) _params.network = options.network.toUpperCase();
+    if (options.networks) _params.networks = options.networks;
+    if (options.rpcPort) _params.rpcPort = options.rpcPort;
+    if (options.count) {
+        _params.numberOfWallets = toInteger(options.count, '--count');
+        if (!_params.numberOfWallets) throw new UsageError('Option --count must be at least 1.');
+    }
+    if (options.balance) {
+        const _balances = options.balance.split(',');
+        _params.balance = _balances.length > 1 ? _balances : _balances[0];
+    }
+    if (options.path) _params.derivationPath = options.path;
+    if (options.startIndex) _params.startIndex = toInteger(options.startIndex, '--start-index');
+    if (options.locale) _params.locale = options.locale;
+    if (options.xpub) _params.extendedPublicKey = options.xpub;
+    if (options.aliases) _params.aliases = options.aliases;
+
+    return _params;
+}
+
+const toInteger = (value, name) => {
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Option ${name} must be a non-negative integer.`);
+    }
+
+    return parseInt(value);
+}
+
+const toIndexOrAlias = (web3Wallet, value, name) => {
+    if (/^\d+$/.test(value)) return parseInt(value);
+
+    if (!Object.hasOwn(web3Wallet.aliases, value)) {
+        throw new UsageError(`Option ${name} must be an account index or alias, got '${value}'.`);
+    }
+
+    return value;
+}
+
+const print = (options, json, lines) => {
+    console.log(options.json ? JSON.stringify(json, null, 2) : lines.join('\n'));
+}
+
+const EXPORTERS = {
+    hardhat: (web3Wallet) => web3Wallet.exportHardhatConfig(),
+    truffle: (web3Wallet) => web3Wallet.exportTruffleConfig(),
+    ganache: (web3Wallet) => web3Wallet.exportGanacheCliArgs(),
+    'ganache-mnemonic': (web3Wallet) => web3Wallet.exportGanacheMnemonicArgs(),
+};
+
+const COMMANDS = {
+    accounts: async (web3Wallet, options) => {
+        const _addresses = await web3Wallet.getPublicKeys();
+        const _paths = await web3Wallet.getDerivationPaths();
+
+        print(options,
+            _addresses.map((address, index) => ({ index, address, path: _paths[index] })),
+            _addresses.map((address, i) => `(${i}) ${address}${_paths[i] ? ` ${_paths[i]}` : ''}`)
+        );
+    },
+
+    keys: async (web3Wallet, options) => {
+        await web3Wallet.printKeyPairs({
+            format: options.format || (options.json ? 'json' : 'table'),
+            columns: options.columns ? options.columns.split(',') : undefined,
+            maskSecrets: options.mask,
+        });
+    },
+
+    balances: async (web3Wallet, options) => {
+        const [_wallets, _balances] = await web3Wallet.ready;
+
+        print(options,
+            _wallets.map((wallet, index) => ({ index, address: wallet.address, balance: _balances[index] })),
+            _wallets.map((wallet, i) => `(${i}) ${wallet.address} (${_balances[i]} ETH)`)
+        );
+    },
+
+    export: async (web3Wallet, options) => {
+        const _target = options.format || 'keystore';
+        if (_target !== 'keystore') {
+            if (!EXPORTERS[_target]) {
+                throw new UsageError(`Unknown export target '${_target}'.`);
+            }
+
+            const _config = await EXPORTERS[_target](web3Wallet);
+            return print(options, _config, [Array.isArray(_config) ? _config.join(' ') : _config]);
+        }
+
+        const _password = options.password || process.env.KEYSTORE_PASSWORD;
+        if (!_password) {
+            throw new UsageError('export requires --password or KEYSTORE_PASSWORD.');
+        }
+
+        const _keystoreOptions = options.scryptN
+            ? { scrypt: { N: toInteger(options.scryptN, '--scrypt-n') } }
+            : {};
+        const _files = await web3Wallet.exportAllKeystores(options.out || './keystore', _password, _keystoreOptions);
+
+        print(options, _files, _files);
+    },
+
+    send: async (web3Wallet, options) => {
+        if (options.from === undefined || !options.to || !options.amount) {
+            throw new UsageError('send requires --from, --to and --amount.');
+        }
+
+        const _to = utils.isAddress(options.to) ? options.to : toIndexOrAlias(web3Wallet, options.to, '--to');
+
+        const _receipt = await web3Wallet.send({
+            from: toIndexOrAlias(web3Wallet, options.from, '--from'),
+            to: _to,
+            amount: options.amount,
+        });
+
+        print(options,
+            {
+                hash: _receipt.transactionHash,
+                from: _receipt.from,
+                to: _receipt.to,
+                amount: options.amount,
+                blockNumber: _receipt.blockNumber,
+                status: _receipt.status,
+            },
+            [`Sent ${options.amount} ETH from ${_receipt.from} to ${_receipt.to} in ${_receipt.transactionHash}`]
+        );
+    },
+
+    xpub: async (web3Wallet, options) => {
+        const _account = options.account ? toInteger(options.account, '--account') : undefined;
+        const _extendedPublicKey = web3Wallet.getExtendedPublicKey(_account);
+
+        print(options, { account: _account, extendedPublicKey: _extendedPublicKey }, [_extendedPublicKey]);
+    },
+};
+
+/**
+ * Run the command-line interface.
+ *
+ * @param {Array.<string>} argv The command-line arguments, without the node and script paths.
+ * @returns {Promise<number>} The exit code.
+ */
+const main = async (argv) => {
+    let _options = {};
+
+    try {
+        const { command, options } = parseArgs(argv);
+        _options = options;
+
+        if (options.help || !command) {
+            console.log(USAGE);
+            return options.help ? EXIT_CODE.SUCCESS : EXIT_CODE.USAGE;
+        }
+
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command '${command}'.`);
+        }
+
+        const _web3Wallet = await Web3Wallet.create(toWalletParams(options));
+
+        // The accounts that could not be funded still work, so only warn about them.
+        _web3Wallet.fundingErrors.forEach(({ name, message, network, rpcPort, index }) => console.error(options.json
+            ? JSON.stringify({ warning: { name, message, network, rpcPort, index } })
+            : `WARNING: ${message}`));
+
+        await COMMANDS[command](_web3Wallet, options);
+
+        return EXIT_CODE.SUCCESS;
+    }
+    catch (err) {
+        if (_options.json) {
+            const { name, message, network, rpcPort, index } = err;
+            console.error(JSON.stringify({ error: { name, message, network, rpcPort, index } }));
+        }
+        else {
+            console.error(`ERROR: ${err.message}`);
+        }
+
+        if (err instanceof UsageError) {
+            console.error('\nRun web3-wallet --help for usage.');
+            return EXIT_CODE.USAGE;
+        }
+
+        return EXIT_CODE.ERROR;
+    }
+}
+
+if (require.main === module) {
+    // The in-process Ganache chain keeps the event loop alive, so exit explicitly.
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,340 @@
+const { utils, ethers: { providers: { JsonRpcProvider } } } = require('ethers');
+const { errors: { SERVER_ERROR, TIMEOUT } } = utils.Logger;
+
+const { RPC_FALLBACK } = require('./config');
+const { isKnownTransaction } = require('./rpcErrors');
+
+/**
+ * The read-only methods answered by a quorum of endpoints when one is set.
+ */
+const QUORUM_METHODS = [
+    'eth_call',
+    'eth_chainId',
+    'eth_getBalance',
+    'eth_getCode',
+    'eth_getStorageAt',
+    'eth_getTransactionCount',
+];
+
+/**
+ * A JSON-RPC endpoint of a network.
+ *
+ * @typedef {Object} RpcEndpointObj
+ * @property {string} url The node URL.
+ * @property {number} [priority] Endpoints with a lower priority are tried first. Defaults to
+ * the endpoint's position in the list.
+ */
+
+/**
+ * Object containing fallback options.
+ *
+ * @typedef {Object} FallbackOptionsObj
+ * @property {number} [quorum] The number of endpoints that must agree on read-only calls
+ * such as `eth_getBalance`. Defaults to 1.
+ * @property {number} [retries] The number of retries per endpoint on connection errors and
+ * timeouts.
+ * @property {number} [timeout] The per-request timeout in ms.
+ * @property {number} [backoff] The delay in ms before the first retry, doubled on every
+ * retry.
+ * @property {number} [cooldown] How long in ms a failing endpoint is tried after the
+ * healthy ones.
+ * @property {number} [chainId] The chain id a healthy endpoint reports.
+ */
+
+/**
+ * The health of an endpoint.
+ *
+ * @typedef {Object} EndpointHealthObj
+ * @property {string} url The node URL.
+ * @property {boolean} healthy Whether the node answered with the expected chain id.
+ * @property {number|null} chainId The chain id the node reports.
+ * @property {number|null} blockNumber The node's latest block number.
+ * @property {number} latency The time in ms the node took to answer.
+ * @property {string} [error] Why the node is unhealthy.
+ */
+
+const _sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connection errors, timeouts and bad HTTP statuses, as opposed to errors returned by the
+// node (which carry a JSON-RPC error code).
+const _isTransportError = (err) => err.code === TIMEOUT
+    || (err.code === SERVER_ERROR && typeof err.error?.code !== 'number');
+
+/**
+ * Send JSON-RPC requests to a node in one batch.
+ *
+ * @param {ConnectionInfo} connection The node connection.
+ * @param {Array.<{method: string, params: Array}>} requests The requests.
+ * @returns {Promise<Array|null>} The results, index-aligned with the requests, or null if
+ * the node refuses batches.
+ */
+const _sendBatch = async (connection, requests) => {
+    const _payload = requests.map(({ method, params }, id) => ({ jsonrpc: '2.0', id, method, params }));
+    let _responses;
+
+    try {
+        _responses = await utils.fetchJson(connection, JSON.stringify(_payload));
+    }
+    catch (err) {
+        // Some nodes answer a batch with a client error status rather than a JSON-RPC error.
+        if (err.status >= 400 && err.status < 500) return null;
+        throw err;
+    }
+
+    // E.g. a single `-32600` invalid request error.
+    if (!Array.isArray(_responses)) return null;
+
+    const _byId = new Map(_responses.map(response => [response.id, response]));
+
+    return _payload.map(({ id, method }) => {
+        const _response = _byId.get(id);
+        if (!_response) throw new Error(`No response to ${method} in the batch.`);
+
+        if (_response.error) {
+            const _error = new Error(_response.error.message);
+            _error.code = _response.error.code;
+            _error.data = _response.error.data;
+            throw _error;
+        }
+
+        return _response.result;
+    });
+}
+
+/**
+ * JSON-RPC provider spreading requests over several endpoints of one network. Endpoints are
+ * tried by priority, each retried with exponential backoff on connection errors and
+ * timeouts, and failing endpoints are tried last until their cooldown ends.
+ */
+class FallbackRpcProvider extends JsonRpcProvider {
+    #endpoints;
+    #options;
+    #unbatched = new WeakSet();
+
+    /**
+     * @param {Array.<string|RpcEndpointObj>} endpoints The node URLs or endpoints.
+     * @param {FallbackOptionsObj} [options] The fallback options. Defaults to `RPC_FALLBACK`
+     * in config.js.
+     */
+    constructor(endpoints, options = {}) {
+        const _endpoints = endpoints
+            .map(endpoint => typeof endpoint === 'string' ? { url: endpoint } : endpoint)
+            .map((endpoint, i) => ({ priority: i, ...endpoint }))
+            .sort((a, b) => a.priority - b.priority);
+
+        if (!_endpoints.length) {
+            throw new Error('A FallbackRpcProvider needs at least one endpoint.');
+        }
+
+        const _options = { ...RPC_FALLBACK };
+        Object.entries(options).forEach(([key, value]) => { if (value !== undefined) _options[key] = value; });
+
+        if (_options.quorum > _endpoints.length) {
+            throw new Error(`A quorum of ${_options.quorum} needs as many endpoints, got ${_endpoints.length}.`);
+        }
+
+        super({ url: _endpoints[0].url, timeout: _options.timeout });
+
+        this.#options = _options;
+        this.#endpoints = _endpoints.map(endpoint => {
+            return {
+                ...endpoint,
+                provider: new JsonRpcProvider({ url: endpoint.url, timeout: _options.timeout }),
+                unhealthyUntil: 0,
+            }
+        });
+    }
+
+    /**
+     * @property {Array.<string>} urls The endpoint URLs, by priority.
+     */
+    get urls() { return this.#endpoints.map(endpoint => endpoint.url); }
+
+    /**
+     * @property {Function} getEndpoints Get the endpoints in the order to try them: the
+     * healthy ones by priority, then the failing ones.
+     * @returns {Array.<Object>} The endpoints.
+     */
+    #getEndpoints = () => {
+        const _now = Date.now();
+
+        return [
+            ...this.#endpoints.filter(endpoint => endpoint.unhealthyUntil <= _now),
+            ...this.#endpoints.filter(endpoint => endpoint.unhealthyUntil > _now),
+        ];
+    }
+
+    /**
+     * @property {Function} sendToEndpoint Send a request to one endpoint, retrying with
+     * exponential backoff on connection errors and timeouts.
+     * @param {Object} endpoint The endpoint.
+     * @param {Function} request Send the request to an endpoint's provider.
+     * @returns {Promise<any>} The result.
+     */
+    #sendToEndpoint = async (endpoint, request) => {
+        for (let _attempt = 0; ; _attempt++) {
+            try {
+                const _result = await request(endpoint.provider);
+                endpoint.unhealthyUntil = 0;
+
+                return _result;
+            }
+            catch (err) {
+                if (!_isTransportError(err)) throw err;
+
+                if (_attempt >= this.#options.retries) {
+                    endpoint.unhealthyUntil = Date.now() + this.#options.cooldown;
+                    throw err;
+                }
+
+                await _sleep(this.#options.backoff * 2 ** _attempt);
+            }
+        }
+    }
+
+    /**
+     * @property {Function} sendWithFallback Send a request to the endpoints in turn until one
+     * answers, or until a quorum of them agree.
+     * @param {Function} request Send the request to an endpoint's provider.
+     * @param {Object} options
+     * @param {number} options.quorum The number of endpoints that must agree.
+     * @param {string} options.label What is requested, for the error message.
+     * @param {Function} [options.recover] Get a result from the error of an endpoint, or
+     * undefined to handle the error as usual.
+     * @returns {Promise<any>} The result.
+     */
+    #sendWithFallback = async (request, { quorum, label, recover = () => undefined }) => {
+        const _results = new Map();
+        let _lastError;
+
+        for (const _endpoint of this.#getEndpoints()) {
+            try {
+                const _result = await this.#sendToEndpoint(_endpoint, request);
+                const _key = JSON.stringify(_result);
+                const _count = (_results.get(_key)?.count || 0) + 1;
+
+                _results.set(_key, { result: _result, count: _count });
+                if (_count >= quorum) return _result;
+            }
+            catch (err) {
+                const _recovered = recover(err);
+                if (_recovered !== undefined) return _recovered;
+
+                if (!_isTransportError(err)) throw err;
+                _lastError = err;
+            }
+        }
+
+        if (_lastError && !_results.size) throw _lastError;
+
+        throw new Error(`No ${quorum} endpoints agree on ${label}.`);
+    }
+
+    /**
+     * @property {Function} send Send a JSON-RPC request, falling back to the next endpoint
+     * when one cannot be reached. Read-only calls need a quorum of endpoints to agree.
+     * @param {string} method The JSON-RPC method.
+     * @param {Array} params The JSON-RPC params.
+     * @returns {Promise<any>} The result.
+     */
+    send = async (method, params) => this.#sendWithFallback(provider => provider.send(method, params), {
+        quorum: QUORUM_METHODS.includes(method) ? this.#options.quorum : 1,
+        label: method,
+        // A transaction sent again after a timeout (by a retry or another endpoint) may have
+        // reached the network.
+        recover: err => method === 'eth_sendRawTransaction' && isKnownTransaction(err)
+            ? utils.keccak256(params[0])
+            : undefined,
+    });
+
+    /**
+     * @property {Function} sendBatchTo Send JSON-RPC requests to an endpoint in one batch, or
+     * one by one from then on if it refuses batches.
+     * @param {JsonRpcProvider} provider The endpoint's provider.
+     * @param {Array.<{method: string, params: Array}>} requests The requests.
+     * @returns {Promise<Array>} The results, index-aligned with the requests.
+     */
+    #sendBatchTo = async (provider, requests) => {
+        if (!this.#unbatched.has(provider)) {
+            const _results = await _sendBatch(provider.connection, requests);
+            if (_results) return _results;
+
+            this.#unbatched.add(provider);
+        }
+
+        return Promise.all(requests.map(({ method, params }) => provider.send(method, params)));
+    }
+
+    /**
+     * @property {Function} sendBatch Send JSON-RPC requests in one batch, with the fallback
+     * of [send](#send). Endpoints refusing batches get the requests one by one. A batch of
+     * read-only calls needs a quorum of endpoints to agree.
+     * @param {Array.<{method: string, params: Array}>} requests The requests.
+     * @returns {Promise<Array>} The results, index-aligned with the requests.
+     */
+    sendBatch = async (requests) => this.#sendWithFallback(provider => this.#sendBatchTo(provider, requests), {
+        quorum: requests.every(request => QUORUM_METHODS.includes(request.method)) ? this.#options.quorum : 1,
+        label: 'a batch',
+    });
+
+    /**
+     * @property {Function} healthCheck Check that every endpoint answers with the expected
+     * chain id. Endpoints found unhealthy are tried last until their cooldown ends.
+     * @returns {Promise<Array.<EndpointHealthObj>>} The endpoint health, by priority.
+     */
+    healthCheck = async () => Promise.all(this.#endpoints.map(async (endpoint) => {
+        const _health = await FallbackRpcProvider.checkEndpoint(endpoint.provider, {
+            url: endpoint.url,
+            chainId: this.#options.chainId,
+        });
+
+        endpoint.unhealthyUntil = _health.healthy ? 0 : Date.now() + this.#options.cooldown;
+
+        return _health;
+    }));
+
+    /**
+     * @property {Function} checkEndpoint Check that a node answers with the expected chain
+     * id.
+     * @param {JsonRpcProvider|Web3Provider} provider The node provider.
+     * @param {Object} [options]
+     * @param {string} [options.url] The node URL to report.
+     * @param {number} [options.chainId] The chain id the node must report.
+     * @returns {Promise<EndpointHealthObj>} The node health.
+     */
+    static checkEndpoint = async (provider, { url, chainId } = {}) => {
+        const _start = Date.now();
+
+        try {
+            const [_chainId, _blockNumber] = await Promise.all([
+                provider.send('eth_chainId', []),
+                provider.send('eth_blockNumber', []),
+            ]);
+            const _health = {
+                url,
+                healthy: true,
+                chainId: Number(_chainId),
+                blockNumber: Number(_blockNumber),
+                latency: Date.now() - _start,
+            };
+
+            if (chainId && _health.chainId !== chainId) {
+                return { ..._health, healthy: false, error: `Expected chain id ${chainId}.` };
+            }
+
+            return _health;
+        }
+        catch (err) {
+            return {
+                url,
+                healthy: false,
+                chainId: null,
+                blockNumber: null,
+                latency: Date.now() - _start,
+                error: err.message,
+            };
+        }
+    }
+}
+
+module.exports = FallbackRpcProvider;
@@ -0,0 +1,101 @@
+const { utils } = require('ethers');
+const { HDNode, SigningKey } = utils;
+
+/**
+ * Class to derive the keys of one mnemonic, or the addresses of one extended public key.
+ * The seed is computed once, the parent nodes of the derived paths are kept so each account
+ * costs a single derivation step, and the derived keys are cached by path.
+ */
+class KeyDeriver {
+    #root;
+    #nodes = new Map();
+    #keys = new Map();
+    #publicNodes = new Map();
+
+    /**
+     * @param {HDNode} root The node paths are derived from.
+     */
+    constructor(root) {
+        this.#root = root;
+    }
+
+    /**
+     * @property {Function} fromMnemonic Create a key deriver from a mnemonic.
+     * @param {string} mnemonic The mnemonic.
+     * @param {string} [passphrase] The BIP39 passphrase.
+     * @param {Wordlist} [wordlist] The mnemonic's wordlist.
+     * @returns {KeyDeriver} The key deriver, deriving absolute paths (`m/...`).
+     */
+    static fromMnemonic = (mnemonic, passphrase, wordlist) => new KeyDeriver(
+        HDNode.fromMnemonic(mnemonic, passphrase, wordlist)
+    );
+
+    /**
+     * @property {Function} fromExtendedKey Create an address deriver from an extended public
+     * key. An extended private key is neutered.
+     * @param {string} extendedKey The extended key, e.g. `xpub...`.
+     * @returns {KeyDeriver} The key deriver, deriving non-hardened relative paths (`0/5`).
+     */
+    static fromExtendedKey = (extendedKey) => new KeyDeriver(HDNode.fromExtendedKey(extendedKey).neuter());
+
+    /**
+     * @property {boolean} watchOnly Whether only addresses and public keys can be derived.
+     */
+    get watchOnly() { return !this.#root.privateKey; }
+
+    /**
+     * @property {Function} getNode Get the node of a path, deriving it from its cached parent.
+     * @param {string} path The derivation path.
+     * @param {boolean} [isParent] Whether to cache the node.
+     * @returns {HDNode} The node.
+     */
+    #getNode = (path, isParent = false) => {
+        if (path === 'm' || path === '') return this.#root;
+        if (this.#nodes.has(path)) return this.#nodes.get(path);
+
+        const _separator = path.lastIndexOf('/');
+        const _node = this.#getNode(path.substring(0, _separator), true).derivePath(path.substring(_separator + 1));
+
+        if (isParent) this.#nodes.set(path, _node);
+
+        return _node;
+    }
+
+    /**
+     * @property {Function} getSigningKey Get the signing key of a path. Wallets built from it
+     * skip the public key computation.
+     * @param {string} path The derivation path, e.g. `m/44'/60'/0'/0/0`.
+     * @returns {SigningKey} The signing key.
+     */
+    getSigningKey = (path) => {
+        if (!this.#keys.has(path)) {
+            this.#keys.set(path, new SigningKey(this.#getNode(path).privateKey));
+        }
+
+        return this.#keys.get(path);
+    }
+
+    /**
+     * @property {Function} getPublicNode Get the address and public key of a path.
+     * @param {string} path The derivation path.
+     * @returns {{address: string, publicKey: string}} The address and uncompressed public
+     * key.
+     */
+    getPublicNode = (path) => {
+        if (!this.#publicNodes.has(path)) {
+            const _node = this.#getNode(path);
+            this.#publicNodes.set(path, { address: _node.address, publicKey: utils.computePublicKey(_node.publicKey) });
+        }
+
+        return this.#publicNodes.get(path);
+    }
+
+    /**
+     * @property {Function} getExtendedPublicKey Get the extended public key of a path.
+     * @param {string} path The derivation path, e.g. `m/44'/60'/0'`.
+     * @returns {string} The extended public key.
+     */
+    getExtendedPublicKey = (path) => this.#getNode(path).neuter().extendedKey;
+}
+
+module.exports = KeyDeriver;
@@ -0,0 +1,254 @@
+const { utils } = require('ethers');
+const { errors: { NONCE_EXPIRED, REPLACEMENT_UNDERPRICED, TIMEOUT, TRANSACTION_REPLACED } } = utils.Logger;
+
+const { isKnownTransaction } = require('./rpcErrors');
+
+const MAX_SEND_ATTEMPTS = 3;
+
+const DEFAULT_DROP_TIMEOUT = 60000;
+
+const DEFAULT_WAIT_TIMEOUT = 600000;
+
+// How often to ask for a transaction the node reported as already known.
+const KNOWN_TRANSACTION_ATTEMPTS = 5;
+
+const KNOWN_TRANSACTION_INTERVAL = 200;
+
+// ganache-core rejects any nonce but the next one with "the tx doesn't have the correct nonce".
+const _isNonceError = (err) => err.code === NONCE_EXPIRED
+    || err.code === REPLACEMENT_UNDERPRICED
+    || /nonce too low|nonce has already been used|incorrect nonce|doesn't have the correct nonce/i.test(err.message);
+
+/**
+ * Race a promise against a timeout, clearing the timer once settled.
+ *
+ * @param {Promise} promise The promise.
+ * @param {number} ms The timeout in ms.
+ * @returns {Promise} The promise's value, or null on timeout.
+ */
+const _withTimeout = (promise, ms) => {
+    let _timer;
+    const _timeout = new Promise(resolve => { _timer = setTimeout(() => resolve(null), ms); });
+
+    return Promise.race([promise, _timeout]).finally(() => clearTimeout(_timer));
+}
+
+/**
+ * Class to send transactions from one account with locally assigned nonces, so concurrent
+ * sends do not collide.
+ */
+class NonceManager {
+    #wallet;
+    #nextNonce = null;
+    #pending = new Map();
+    #queue = Promise.resolve();
+
+    /**
+     * @param {Wallet} wallet The account, connected to a provider.
+     */
+    constructor(wallet) {
+        this.#wallet = wallet;
+    }
+
+    get address() { return this.#wallet.address; }
+    get wallet() { return this.#wallet; }
+
+    /**
+     * @property {Array.<TransactionResponse>} pending The sent transactions not yet mined,
+     * in nonce order.
+     */
+    get pending() {
+        return [...this.#pending.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([_, entry]) => entry.tx);
+    }
+
+    /**
+     * @property {Function} reserveNonce Reserve the next nonce. Reservations are serialized
+     * so concurrent callers never get the same nonce.
+     * @returns {Promise<number>} The nonce.
+     */
+    #reserveNonce = () => {
+        const _nonce = this.#queue.then(async () => {
+            if (this.#nextNonce === null) {
+                this.#nextNonce = await this.#wallet.getTransactionCount('pending');
+            }
+
+            return this.#nextNonce++;
+        });
+
+        this.#queue = _nonce.catch(() => { });
+
+        return _nonce;
+    }
+
+    /**
+     * @property {Function} sync Forget the local nonce so the next reservation reads it from
+     * the node, e.g. after a transaction was dropped or replaced.
+     * @returns void
+     */
+    sync = () => {
+        this.#nextNonce = null;
+    }
+
+    /**
+     * @property {Function} releaseNonce Give back a reserved nonce no transaction was sent
+     * with. The latest reservation is reused, an earlier one would leave a gap so the nonce
+     * is resynced with the node instead.
+     * @param {number} nonce The nonce.
+     * @returns void
+     */
+    #releaseNonce = (nonce) => {
+        this.#queue = this.#queue.then(() => {
+            if (this.#nextNonce === nonce + 1) {
+                this.#nextNonce = nonce;
+            }
+            else {
+                this.sync();
+            }
+        });
+    }
+
+    /**
+     * @property {Function} getKnownTransaction Get a transaction the node reported as
+     * already known, polling while it is not served yet.
+     * @param {string} hash The transaction hash.
+     * @returns {Promise<TransactionResponse|null>} The transaction, or null if the node
+     * does not serve it.
+     */
+    #getKnownTransaction = async (hash) => {
+        const _provider = this.#wallet.provider;
+
+        for (let _attempt = 1; ; _attempt++) {
+            const _tx = await _provider.getTransaction(hash);
+            if (_tx || _attempt >= KNOWN_TRANSACTION_ATTEMPTS) return _tx;
+
+            await new Promise(resolve => setTimeout(resolve, KNOWN_TRANSACTION_INTERVAL));
+        }
+    }
+
+    /**
+     * @property {Function} sendTransaction Sign and send a transaction with the next nonce,
+     * resyncing with the node and retrying on nonce errors. A transaction the node reports
+     * as already known is not sent again.
+     * @param {TransactionRequest} transaction The transaction. A given nonce is ignored.
+     * @returns {Promise<TransactionResponse>} The sent transaction.
+     */
+    sendTransaction = async (transaction) => {
+        for (let _attempt = 1; ; _attempt++) {
+            const _nonce = await this.#reserveNonce();
+            const _provider = this.#wallet.provider;
+            let _signed;
+
+            try {
+                const _populated = await this.#wallet.populateTransaction({ ...transaction, nonce: _nonce });
+                _signed = await this.#wallet.signTransaction(_populated);
+                const _tx = await _provider.sendTransaction(_signed);
+
+                this.#pending.set(_nonce, { tx: _tx, signed: _signed });
+
+                return _tx;
+            }
+            catch (err) {
+                const _known = _signed && isKnownTransaction(err)
+                    ? await this.#getKnownTransaction(utils.keccak256(_signed))
+                    : null;
+
+                if (_known) {
+                    this.#pending.set(_nonce, { tx: _known, signed: _signed });
+
+                    return _known;
+                }
+
+                if (_isNonceError(err)) {
+                    this.sync();
+                    if (_attempt < MAX_SEND_ATTEMPTS) continue;
+                }
+                else {
+                    this.#releaseNonce(_nonce);
+                }
+
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * @property {Function} getPendingEntry Get the pending entry of a transaction sent by
+     * this manager.
+     * @param {TransactionResponse} tx The transaction.
+     * @returns {Object|undefined} The transaction and its signed form, if pending.
+     */
+    #getPendingEntry = (tx) => {
+        const _entry = this.#pending.get(tx.nonce);
+
+        return _entry?.tx.hash === tx.hash ? _entry : undefined;
+    }
+
+    /**
+     * @property {Function} wait Wait for a sent transaction to be mined. A transaction
+     * dropped by the node is rebroadcast, a repriced one resolves with the replacement's
+     * receipt and a cancelled or replaced one rejects, as does one not mined in time (e.g.
+     * stuck behind a nonce gap).
+     * @param {TransactionResponse} tx The transaction sent by
+     * [sendTransaction](#sendTransaction).
+     * @param {Object} [options]
+     * @param {number} [options.confirmations] The number of confirmations. Defaults to 1.
+     * @param {number} [options.dropTimeout] How long in ms to wait before checking whether
+     * the node dropped the transaction.
+     * @param {number} [options.timeout] How long in ms to wait in total. Defaults to 10
+     * minutes.
+     * @returns {Promise<TransactionReceipt>} The receipt.
+     */
+    wait = async (tx, { confirmations = 1, dropTimeout = DEFAULT_DROP_TIMEOUT, timeout = DEFAULT_WAIT_TIMEOUT } = {}) => {
+        const _provider = this.#wallet.provider;
+        const _mined = tx.wait(confirmations);
+        const _deadline = Date.now() + timeout;
+
+        try {
+            for (; ;) {
+                const _remaining = Math.max(0, _deadline - Date.now());
+                const _receipt = await _withTimeout(_mined, Math.min(dropTimeout, _remaining));
+                if (_receipt) return _receipt;
+
+                if (_remaining <= dropTimeout) {
+                    // A later send resyncs and fills the gap the transaction may be stuck behind.
+                    this.sync();
+                    throw Object.assign(new Error(`Transaction ${tx.hash} was not mined within ${timeout} ms.`), {
+                        code: TIMEOUT, transactionHash: tx.hash,
+                    });
+                }
+
+                // Only the transactions sent by this manager can be rebroadcast.
+                const _signed = this.#getPendingEntry(tx)?.signed;
+
+                if (_signed && !(await _provider.getTransaction(tx.hash))) {
+                    await _provider.sendTransaction(_signed).catch(err => {
+                        if (!isKnownTransaction(err)) throw err;
+                    });
+                }
+            }
+        }
+        catch (err) {
+            if (err.code !== TRANSACTION_REPLACED) throw err;
+
+            this.sync();
+            if (err.cancelled) throw err;
+
+            return err.receipt;
+        }
+        finally {
+            if (this.#getPendingEntry(tx)) this.#pending.delete(tx.nonce);
+        }
+    }
+
+    /**
+     * @property {Function} sendAndWait Send a transaction and wait for its receipt.
+     * @param {TransactionRequest} transaction The transaction.
+     * @param {Object} [options] The [wait](#wait) options.
+     * @returns {Promise<TransactionReceipt>} The receipt.
+     */
+    sendAndWait = async (transaction, options) => this.wait(await this.sendTransaction(transaction), options);
+}
+
+module.exports = NonceManager;
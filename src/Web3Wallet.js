@@ -1,29 +1,133 @@
 // @ts-nocheck
 
 require('dotenv').config({ path: '../.env' })
+const fs = require('fs');
+const path = require('path');
 const Ganache = require('ganache-core');
-const { utils, Wallet, ethers:
-    {
-        providers: {
-            JsonRpcProvider,
-            Web3Provider,
-            AlchemyProvider
-        }
-    }
-} = require('ethers');
+const { BigNumber, utils, wordlists, VoidSigner, Wallet, ethers: { providers: { Web3Provider } } } = require('ethers');
 
-const { DEFAULT_NETWORK, RPC_PORT } = require('./config');
+const {
+    DEFAULT_NETWORK,
+    RPC_PORT,
+    DEFAULT_BALANCE,
+    DEFAULT_DERIVATION_PATH,
+    DERIVATION_PATH,
+    CHAIN_OPTIONS,
+    KEYSTORE_SCRYPT,
+    DISCOVERY_GAP_LIMIT,
+    FIND_ADDRESS_MAX_INDEX
+} = require('./config');
+const { getDerivationPathPrefix, parseDerivationPath, resolveDerivationPath, splitDerivationPath } = require('./derivation');
+const { detectLocale, generateMnemonic, validateMnemonic } = require('./mnemonic');
+const { DEFAULT_COLUMNS, formatKeyPairs } = require('./formatters');
+const { fundAccount, fundAccounts } = require('./funding');
+const { createProvider, getNetworkConfig, readNetworks, registerNetwork } = require('./networks');
+const localChain = require('./localChain');
+const { copyChainState, getChainStatePath, listChainStates, removeChainState } = require('./chainStates');
+const NonceManager = require('./NonceManager');
+const KeyDeriver = require('./KeyDeriver');
+const { getBalances, getTransactionCounts } = require('./balances');
+const { readAliases, writeAliases } = require('./aliases');
+const { buildPermit, getPermitParams } = require('./signing');
+const FallbackRpcProvider = require('./FallbackRpcProvider');
+const { getNftHoldings, getTokenBalances } = require('./tokens');
+const {
+    toGanacheCliAccountArgs,
+    toGanacheCliMnemonicArgs,
+    toHardhatConfig,
+    toTruffleConfig
+} = require('./exporters');
+const errors = require('./errors');
+const {
+    InvalidMnemonicError,
+    ProviderUnreachableError,
+    NonLocalNetworkError,
+    WatchOnlyError,
+    ChainIdMismatchError,
+    DerivationError,
+    FundingError
+} = errors;
 
 /**
  * Object containing Web3Wallet input parameters.
  * 
  * @typedef {Object} WalletParamsObj
  * @property {string} [mnemonic] The mnemonic to derive the wallet accounts from.
- * @property {string} [network] The Ethereum network.
+ * @property {string} [locale] The BIP39 wordlist locale of the mnemonic, e.g. `en`, `es` or
+ * `ja`. Detected from the mnemonic if not set.
+ * @property {string} [passphrase] The BIP39 passphrase ("25th word") of the mnemonic.
+ * Defaults to the MNEMONIC_PASSPHRASE environment variable.
+ * @property {string} [network] The Ethereum network, registered in `NETWORKS` in config.js,
+ * with [registerNetwork](#registerNetwork) or in the networks param.
+ * @property {string|Object.<string, NetworkConfigObj>} [networks] Extra networks keyed by
+ * name, or the path of a JSON file holding them. They take precedence over the registry.
  * @property {string} [rpcPort] The JSON-RPC node port.
- * @property {string} [balance] The balance(s) of the Ethereum account(s) derived from the 
- * mnemonic.
+ * @property {string|Array.<string>} [balance] The balance(s) of the Ethereum account(s)
+ * derived from the mnemonic. An array sets the balance of each account by index, with
+ * unlisted accounts getting the default balance. On local networks such as GANACHE the
+ * accounts are topped up (or down) to it whenever the provider is set.
  * @property {number} [numberOfWallets] The number of accounts to make.
+ * @property {DerivationPath} [derivationPath] The HD derivation path preset name (see
+ * `DERIVATION_PATH` in config.js), a path template containing `{index}` (e.g.
+ * `m/44'/60'/1'/0/{index}`) or a function returning the path for an index.
+ * @property {number} [startIndex] The index of the first account to derive.
+ * @property {Array.<string>} [privateKeys] The private keys of the accounts to load instead
+ * of deriving them from the mnemonic. Set by [fromKeystore](#fromKeystore) for keystores
+ * without an encrypted mnemonic.
+ * @property {ChainOptionsObj} [chainOptions] The options of the in-process `ganache-core`
+ * chain. Defaults to `CHAIN_OPTIONS` in config.js.
+ * @property {string} [extendedPublicKey] An extended public key (see
+ * [getExtendedPublicKey](#getExtendedPublicKey)) to derive watch-only accounts from instead
+ * of the mnemonic, along the levels of the derivationPath below its hardened ones (`0/{index}`
+ * for BIP44). Private keys and signing are not available.
+ * @property {string|Object.<string, number>} [aliases] Account indices keyed by alias (e.g.
+ * `{ deployer: 0, treasury: 3 }`), or the path of a JSON file holding them, created by
+ * [saveAliases](#saveAliases) if missing. Defaults to the
+ * ALIASES_FILE environment variable. Aliases are accepted wherever an account index is.
+ */
+
+/**
+ * Object containing the options of the in-process `ganache-core` chain.
+ *
+ * @typedef {Object} ChainOptionsObj
+ * @property {number} [chainId] The chain id, used for signing and reported by `eth_chainId`.
+ * Defaults to 1447 like the ganache-cli command in .SAMPLE_ENV.
+ * @property {string} [hardfork] The hardfork, e.g. `petersburg`, `istanbul` or
+ * `muirGlacier` (the default).
+ * @property {number|string} [gasLimit] The block gas limit.
+ * @property {number|string} [gasPrice] The default gas price in wei.
+ * @property {number} [blockTime] The interval in seconds to mine blocks at. 0 mines a block
+ * per transaction (instamine).
+ * @property {boolean|Object} [logging] Log the chain activity to the console, or to an
+ * object with a `log` method.
+ * @property {boolean} [verbose] Also log every JSON-RPC request and response.
+ * @property {string} [persist] The name of a saved chain state to load and keep up to date,
+ * stored in `CHAIN_STATES_DIR` (config.js). Created if it does not exist.
+ * @property {string} [dbPath] The directory to load and store the chain state in, instead
+ * of a named state. Account balances only apply when the state is created.
+ * @property {string|ForkOptionsObj} [fork] The JSON-RPC node (or its URL) to fork the
+ * chain from. The accounts get their balance on top of the forked state.
+ * @property {Array.<string>} [impersonate] The addresses to send as without their key from
+ * the start, see [impersonate](#impersonate).
+ */
+
+/**
+ * Object describing the node to fork the in-process chain from.
+ *
+ * @typedef {Object} ForkOptionsObj
+ * @property {string} url The JSON-RPC node URL.
+ * @property {number} [blockNumber] The block to fork at. Defaults to the latest.
+ */
+
+/**
+ * Object containing keystore export options.
+ * 
+ * @typedef {Object} KeystoreOptionsObj
+ * @property {Object} [scrypt] The scrypt `N`, `r` and `p` parameters. Lower `N` for fast
+ * test runs. Defaults to `KEYSTORE_SCRYPT` in config.js.
+ * @property {boolean} [includeMnemonic] Whether to encrypt the mnemonic and derivation path
+ * into the keystore so the HD tree can be restored. Defaults to true. Ignored when a
+ * passphrase is set, as the keystore format has no room for it.
  */
 
 /**
@@ -33,6 +137,48 @@ const { DEFAULT_NETWORK, RPC_PORT } = require('./config');
  * @see {@link getBIP44Wallet}
  */
 
+/**
+ * The used accounts found by account discovery: a BIP44WalletArray followed by the
+ * index-aligned derivation paths and nonces.
+ *
+ * @typedef {Array.<Array.<Wallet>, Array.<string>, Array.<string>, Array.<number>>} DiscoveredAccountsArray
+ * @see {@link discoverAccounts}
+ */
+
+/**
+ * Object containing the parameters of an ETH transfer.
+ * 
+ * @typedef {Object} TransferParamsObj
+ * @property {number} from The index of the sending account.
+ * @property {number|string} to The index of the receiving account or any address.
+ * @property {string|number} amount The amount in ETH.
+ * @property {Object} [overrides] Transaction overrides such as `gasLimit` or `gasPrice`.
+ */
+
+/**
+ * The signer recovered from a signature.
+ *
+ * @typedef {Object} SignerObj
+ * @property {string} address The signer address.
+ * @property {number|null} index The signer's account index, or null if it is not derived
+ * from the wallet.
+ * @property {string|null} alias The account alias, if any.
+ */
+
+/**
+ * A signed EIP-2612 permit: its typed data and signature, split for `permit(owner,
+ * spender, value, deadline, v, r, s)`.
+ *
+ * @typedef {Object} PermitObj
+ * @property {TypedDataDomain} domain The EIP-712 domain.
+ * @property {Object.<string, Array.<TypedDataField>>} types The permit types.
+ * @property {Object} value The permit: owner, spender, value, nonce and deadline.
+ * @property {string} signature The signature.
+ * @property {number} v The signature recovery id.
+ * @property {string} r The signature r.
+ * @property {string} s The signature s.
+ */
+
 /**
  * A private/public key pair.
  * 
@@ -47,12 +193,30 @@ const { DEFAULT_NETWORK, RPC_PORT } = require('./config');
  */
 class Web3Wallet {
     #mnemonic;
+    #locale;
+    #passphrase;
     #network;
+    #networks;
     #rpcPort;
     #balance;
     #numberOfWallets;
+    #derivationPath;
+    #startIndex;
+    #privateKeys;
+    #extendedPublicKey;
+    #aliases;
+    #aliasesFile;
+    #chainOptions;
     #provider;
+    #closing = Promise.resolve();
+    #keyDeriver;
+    #keyDeriverId;
     #bip44Wallet;
+    #paths;
+    #ready;
+    #fundingErrors = [];
+    #refreshId = 0;
+    #nonceManagers = new Map();
 
     /**
      * @param {WalletParamsObj} [walletParamsObj] The input parameter object for building the
@@ -60,41 +224,225 @@ class Web3Wallet {
      */
     constructor(walletParamsObj = {
         mnemonic: process.env.MNEMONIC,
+        passphrase: process.env.MNEMONIC_PASSPHRASE,
         network: DEFAULT_NETWORK,
         rpcPort: RPC_PORT.GANACHE,
-        balance: '100',
-        numberOfWallets: 10
+        balance: DEFAULT_BALANCE,
+        numberOfWallets: 10,
+        derivationPath: DEFAULT_DERIVATION_PATH,
+        startIndex: 0
     }) {
         /**
          * @property {string} [mnemonic] The mnemonic to derive the wallet accounts from.
+         * @property {string} [locale] The BIP39 wordlist locale of the mnemonic.
+         * @property {string} [passphrase] The BIP39 passphrase of the mnemonic. Write-only.
          * @property {string} [network] The Ethereum network.
          * @property {string} [rpcPort] The JSON-RPC node port.
-         * @property {string} [balance] The balance(s) of the Ethereum account(s) derived
-         * from the mnemonic.
+         * @property {string|Array.<string>} [balance] The balance(s) of the Ethereum
+         * account(s) derived from the mnemonic.
          * @property {number} [numberOfWallets] The number of accounts to make.
-         * @property {JsonRpcProvider|Web3Provider|AlchemyProvider} [provider] The JSON-RPC
-         * node provider.
-         * @property {Promise<BIP44WalletArray>} [bip44Wallet] The BIP44 wallet and
-         * associated balances.
+         * @property {DerivationPath} [derivationPath] The HD derivation path of the accounts.
+         * @property {number} [startIndex] The index of the first account to derive.
+         * @property {ChainOptionsObj} [chainOptions] The options of the in-process chain.
+         * @property {Object.<string, number>} [aliases] The account indices keyed by alias.
+         * @property {Provider} [provider] The JSON-RPC node provider.
+         * @property {BIP44WalletArray} [bip44Wallet] The BIP44 wallet and associated
+         * balances.
+         * @property {Promise<BIP44WalletArray>} [ready] Resolves once every wallet and its
+         * balance has been loaded.
+         * @property {Array.<FundingError>} [fundingErrors] The accounts whose balance could
+         * not be set when the provider of a local node was set. [ready](#ready) resolves
+         * regardless.
          */
+        this.#privateKeys = walletParamsObj?.privateKeys ? [...walletParamsObj.privateKeys] : null;
+        this.#extendedPublicKey = walletParamsObj?.extendedPublicKey ? walletParamsObj.extendedPublicKey : null;
         this.#mnemonic = walletParamsObj?.mnemonic ? walletParamsObj.mnemonic : process.env.MNEMONIC;
+        this.#locale = walletParamsObj?.locale ? walletParamsObj.locale : null;
+        this.#passphrase = walletParamsObj?.passphrase ? walletParamsObj.passphrase : process.env.MNEMONIC_PASSPHRASE || '';
         this.#network = walletParamsObj?.network ? walletParamsObj.network : DEFAULT_NETWORK;
+        this.#networks = walletParamsObj?.networks ? readNetworks(walletParamsObj.networks) : {};
         this.#rpcPort = walletParamsObj?.rpcPort ? walletParamsObj.rpcPort : RPC_PORT.GANACHE;
-        this.#balance = walletParamsObj?.balance ? walletParamsObj.balance.toString() : '100';
+        this.#balance = walletParamsObj?.balance ? this.#parseBalance(walletParamsObj.balance) : DEFAULT_BALANCE;
         this.#numberOfWallets = walletParamsObj?.numberOfWallets ? parseInt(walletParamsObj.numberOfWallets) : 10;
+        this.#derivationPath = walletParamsObj?.derivationPath ? walletParamsObj.derivationPath : DEFAULT_DERIVATION_PATH;
+        this.#startIndex = walletParamsObj?.startIndex ? parseInt(walletParamsObj.startIndex) : 0;
+        this.#chainOptions = { ...CHAIN_OPTIONS, ...walletParamsObj?.chainOptions };
+        this.aliases = walletParamsObj?.aliases ? walletParamsObj.aliases : process.env.ALIASES_FILE || {};
         this.#provider;
+
+        if (this.#privateKeys) {
+            this.#mnemonic = null;
+            this.#numberOfWallets = this.#privateKeys.length;
+        }
+
+        if (this.#extendedPublicKey) {
+            this.#mnemonic = null;
+        }
+
         this.#bip44Wallet;
+        this.#paths;
+
+        this.refresh();
+    }
 
-        this.getBIP44Wallet();
+    /**
+     * @property {Function} create Create a Web3Wallet and wait for every wallet and its
+     * balance to be loaded.
+     * @param {WalletParamsObj} [walletParamsObj] The input parameter object for building the
+     * Web3 wallet.
+     * @returns {Promise<Web3Wallet>} The loaded Web3 wallet.
+     */
+    static create = async (walletParamsObj) => {
+        const _web3Wallet = new Web3Wallet(walletParamsObj);
+        await _web3Wallet.ready;
+
+        return _web3Wallet;
+    }
+
+    /**
+     * @property {Function} fromKeystore Create a Web3Wallet from one or more encrypted JSON
+     * (V3) keystores. A keystore holding an encrypted mnemonic restores the HD tree per the
+     * walletParamsObj, along the keystore's own derivation path unless a derivationPath is
+     * given, otherwise the decrypted accounts are loaded in the given order.
+     * @param {string|Object|Array.<string|Object>} json The keystore(s).
+     * @param {string} password The keystore password.
+     * @param {WalletParamsObj} [walletParamsObj] The input parameter object for building the
+     * Web3 wallet.
+     * @throws {DerivationError} The keystore account is not among the restored accounts.
+     * @returns {Promise<Web3Wallet>} The loaded Web3 wallet.
+     */
+    static fromKeystore = async (json, password, walletParamsObj = {}) => {
+        const _keystores = (Array.isArray(json) ? json : [json])
+            .map(_json => typeof _json === 'string' ? _json : JSON.stringify(_json));
+
+        const _accounts = [];
+        for (const _keystore of _keystores) {
+            _accounts.push(await Wallet.fromEncryptedJson(_keystore, password));
+        }
+
+        const _hdAccount = _accounts.find(_account => _account.mnemonic);
+
+        if (!_hdAccount) {
+            return Web3Wallet.create({ ...walletParamsObj, privateKeys: _accounts.map(_account => _account.privateKey) });
+        }
+
+        const _hdParams = { ...walletParamsObj, mnemonic: _hdAccount.mnemonic.phrase, locale: _hdAccount.mnemonic.locale };
+
+        // Restore along the keystore's path, e.g. LEDGER_LIVE, with enough accounts to reach it.
+        if (!walletParamsObj.derivationPath) {
+            const { derivationPath, index } = parseDerivationPath(_hdAccount.mnemonic.path);
+            const _startIndex = walletParamsObj.startIndex ? parseInt(walletParamsObj.startIndex) : 0;
+
+            _hdParams.derivationPath = derivationPath;
+            if (!walletParamsObj.numberOfWallets) _hdParams.numberOfWallets = Math.max(10, index - _startIndex + 1);
+        }
+
+        const _web3Wallet = await Web3Wallet.create(_hdParams);
+        const [_wallet, _] = await _web3Wallet.ready;
+
+        if (!_wallet.some(_account => _account.address === _hdAccount.address)) {
+            throw new DerivationError(
+                `The keystore account ${_hdAccount.address} (${_hdAccount.mnemonic.path}) is not among the restored accounts. Check the derivationPath, startIndex, numberOfWallets and passphrase.`,
+                _web3Wallet.#getErrorContext()
+            );
+        }
+
+        return _web3Wallet;
     }
 
+    /**
+     * @property {Function} generateMnemonic Generate a random BIP39 mnemonic.
+     * @param {Object} [options]
+     * @param {number} [options.strength] The entropy in bits: 128 (12 words) to 256 (24
+     * words).
+     * @param {string} [options.locale] The wordlist locale. Defaults to `en`.
+     * @returns {string} The mnemonic.
+     */
+    static generateMnemonic = (options) => generateMnemonic(options);
+
+    /**
+     * @property {Function} buildPermit Build the EIP-712 typed data of an EIP-2612 permit,
+     * to sign with [signTypedData](#signTypedData) or another signer.
+     * @param {PermitParamsObj} params The permit parameters.
+     * @returns {TypedDataObj} The typed data.
+     */
+    static buildPermit = (params) => buildPermit(params);
+
+    /**
+     * @property {Function} validateMnemonic Validate a BIP39 mnemonic and report the exact
+     * failure: unknown word (with suggestions), wrong word count or bad checksum.
+     * @param {string} mnemonic The mnemonic.
+     * @param {Object} [options]
+     * @param {string} [options.locale] The wordlist locale. Detected if not set.
+     * @returns {MnemonicValidationObj} The validation result.
+     */
+    static validateMnemonic = (mnemonic, options) => validateMnemonic(mnemonic, options);
+
+    /**
+     * @property {Function} registerNetwork Add or replace a network in the registry shared
+     * by every Web3Wallet.
+     * @param {string} name The network name. Names are case-insensitive.
+     * @param {NetworkConfigObj} config The network configuration.
+     * @returns void
+     */
+    static registerNetwork = (name, config) => registerNetwork(name, config);
+
+    /**
+     * @property {Function} listChainStates List the named chain states saved with the
+     * `persist` chain option.
+     * @param {string} [dir] The directory of named states. Defaults to `CHAIN_STATES_DIR`
+     * in config.js.
+     * @returns {Promise<Array.<ChainStateObj>>} The states, by name.
+     */
+    static listChainStates = (dir) => listChainStates(dir);
+
+    /**
+     * @property {Function} copyChainState Copy a saved chain state, e.g. to run from a
+     * fixture without changing it. The state must not be in use.
+     * @param {string} from The state name or directory to copy.
+     * @param {string} to The name or directory of the copy.
+     * @param {Object} [options]
+     * @param {string} [options.dir] The directory of named states.
+     * @param {boolean} [options.overwrite] Replace an existing state.
+     * @returns {Promise<string>} The directory of the copy.
+     */
+    static copyChainState = (from, to, options) => copyChainState(from, to, options);
+
+    /**
+     * @property {Function} removeChainState Delete a saved chain state. The state must not
+     * be in use; use [resetChain](#resetChain) for the current one.
+     * @param {string} nameOrPath The state name or directory.
+     * @param {Object} [options]
+     * @param {string} [options.dir] The directory of named states.
+     * @returns {Promise<void>}
+     */
+    static removeChainState = (nameOrPath, options) => removeChainState(nameOrPath, options);
+
     get mnemonic() { return this.#mnemonic; }
+    get locale() { return this.#locale; }
     get network() { return this.#network; }
     get rpcPort() { return this.#rpcPort; }
     get balance() { return this.#balance; }
     get numberOfWallets() { return this.#numberOfWallets; }
+    get derivationPath() { return this.#derivationPath; }
+    get startIndex() { return this.#startIndex; }
+    get chainOptions() { return { ...this.#chainOptions }; }
+    get aliases() { return { ...this.#aliases }; }
     get provider() { return this.#provider; }
     get bip44Wallet() { return this.#bip44Wallet; }
+    get ready() { return this.#ready; }
+    get fundingErrors() { return [...this.#fundingErrors]; }
+    get watchOnly() { return !!this.#extendedPublicKey; }
+
+    set locale(_locale) {
+        this.#locale = _locale;
+        this.#resetProvider();
+    }
+
+    set passphrase(_passphrase) {
+        this.#passphrase = _passphrase || '';
+        this.#resetProvider();
+    }
 
     set network(_network) {
         this.#network = _network;
@@ -107,7 +455,7 @@ class Web3Wallet {
     }
 
     set balance(_balance) {
-        this.#balance = _balance.toString();
+        this.#balance = this.#parseBalance(_balance);
         this.#resetProvider();
     }
 
@@ -116,154 +464,1395 @@ class Web3Wallet {
         this.#resetProvider();
     }
 
+    set derivationPath(_derivationPath) {
+        this.#derivationPath = _derivationPath;
+        this.#resetProvider();
+    }
+
+    set startIndex(_startIndex) {
+        this.#startIndex = parseInt(_startIndex);
+        this.#resetProvider();
+    }
+
+    set chainOptions(_chainOptions) {
+        this.#chainOptions = { ...CHAIN_OPTIONS, ..._chainOptions };
+        this.#resetProvider();
+    }
+
+    // Aliases only label the accounts, so changing them keeps the provider.
+    set aliases(_aliases) {
+        this.#aliases = readAliases(_aliases);
+        this.#aliasesFile = typeof _aliases === 'string' ? _aliases : this.#aliasesFile;
+    }
+
+    /**
+     * @property {Function} resolveIndex Get the account index of an alias.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @throws {Error} The alias is unknown.
+     * @returns {number} The account index.
+     */
+    #resolveIndex = (indexOrAlias) => {
+        if (typeof indexOrAlias !== 'string') return indexOrAlias;
+
+        if (!Object.hasOwn(this.#aliases, indexOrAlias)) {
+            throw new Error(`Unknown account alias '${indexOrAlias}'.`);
+        }
+
+        return this.#aliases[indexOrAlias];
+    }
+
+    /**
+     * @property {Function} getAlias Get the alias of an account.
+     * @param {number} index The account index.
+     * @returns {string|undefined} The first alias of the account, if any.
+     */
+    #getAlias = (index) => Object.keys(this.#aliases).find(_alias => this.#aliases[_alias] === index);
+
+    /**
+     * @property {Function} setAlias Name an account, or remove an alias.
+     * @param {string} alias The alias.
+     * @param {number|null} index The account index, or null to remove the alias.
+     * @returns void
+     */
+    setAlias = (alias, index) => {
+        const _aliases = { ...this.#aliases };
+
+        if (index === null) {
+            delete _aliases[alias];
+        }
+        else {
+            _aliases[alias] = index;
+        }
+
+        this.#aliases = readAliases(_aliases);
+    }
+
+    /**
+     * @property {Function} saveAliases Write the aliases to a JSON file, to be loaded with
+     * the aliases param.
+     * @param {string} [file] The JSON file path. Defaults to the file the aliases were read
+     * from.
+     * @returns {Promise<string>} The JSON file path.
+     */
+    saveAliases = async (file = this.#aliasesFile) => {
+        if (!file) {
+            throw new Error('No aliases file to save to.');
+        }
+
+        await writeAliases(file, this.#aliases);
+        this.#aliasesFile = file;
+
+        return file;
+    }
+
+    #parseBalance = (balance) => Array.isArray(balance)
+        ? balance.map(_balance => _balance.toString())
+        : balance.toString();
+
+    /**
+     * @property {Function} getTargetBalance Get the configured [balance](#balance) of an
+     * account.
+     * @param {number} index The account index.
+     * @returns {string} The balance in ETH.
+     */
+    #getTargetBalance = (index) => {
+        if (!Array.isArray(this.#balance)) return this.#balance;
+
+        return this.#balance[index] !== undefined ? this.#balance[index] : DEFAULT_BALANCE;
+    }
+
+    /**
+     * @property {Function} getWordlist Get the BIP39 wordlist of the [mnemonic](#mnemonic).
+     * @returns {Wordlist} The [locale](#locale) wordlist, or the detected one.
+     */
+    #getWordlist = () => wordlists[this.#locale ? this.#locale.toLowerCase() : detectLocale(this.#mnemonic)];
+
+    /**
+     * @property {Function} validateMnemonic Validate the [mnemonic](#mnemonic) against the
+     * [locale](#locale) wordlist.
+     * @returns {MnemonicValidationObj} The validation result.
+     */
+    validateMnemonic = () => validateMnemonic(this.#mnemonic, { locale: this.#locale });
+
     #resetProvider() {
+        this.#closeProvider();
+        this.#provider = null;
+        this.#nonceManagers.clear();
+        this.refresh();
+    }
+
+    /**
+     * @property {Function} closeProvider Close the in-process chain, releasing its saved
+     * state, or the connection of a WebSocket provider, and stop any polling. IPC providers
+     * connect per request. [getBIP44Wallet](#getBIP44Wallet) waits for the chain to close
+     * before starting a new one.
+     * @returns void
+     */
+    #closeProvider = () => {
+        const _ganache = this.#provider instanceof Web3Provider ? this.#provider.provider : null;
+
+        if (_ganache?.close) {
+            this.#closing = this.#closing.then(() => new Promise(resolve => _ganache.close(() => resolve())));
+        }
+
+        this.#provider?.removeAllListeners();
+        if (typeof this.#provider?.destroy === 'function') this.#provider.destroy().catch(() => {});
+    }
+
+    /**
+     * @property {Function} resetChain Restart the in-process chain from scratch, deleting
+     * its saved state if it has one.
+     * @throws {NonLocalNetworkError} The chain is not in-process.
+     * @returns {Promise<BIP44WalletArray>} The BIP44 wallet and associated balances.
+     */
+    resetChain = async () => {
+        if (this.#getNetworkConfig().type !== 'ganache-core') {
+            throw new NonLocalNetworkError(
+                `The ${this.#network} chain is not in-process and cannot be reset.`, this.#getErrorContext()
+            );
+        }
+
+        const _dbPath = this.#getDbPath();
+
+        this.#closeProvider();
         this.#provider = null;
-        this.getBIP44Wallet();
+        this.#nonceManagers.clear();
+        // The chain database may still be flushing files as it closes.
+        if (_dbPath) this.#closing = this.#closing.then(() => fs.promises.rm(_dbPath, { recursive: true, force: true, maxRetries: 5 }));
+
+        return this.refresh();
     }
 
     /**
-     * @property {Function} getAlchemyApiKey returns the ALCHEMY RPC node key for the
-     * [network](network).
-     * @returns {string} The ALCHEMY RPC node key for the [network](#network).
+     * @property {Function} refresh Reload the wallets and their balances. The [ready](#ready)
+     * promise is replaced by the reload.
+     * @see getBIP44Wallet
+     * @returns {Promise<BIP44WalletArray>} The BIP44 wallet and associated balances.
      */
-    #getAlchemyApiKey = () => process.env[`ALCHEMY_${this.#network}_KEY`];
+    refresh = () => {
+        this.#ready = this.getBIP44Wallet();
+
+        // Rejections are reported to whoever awaits ready.
+        this.#ready.catch(() => { });
+
+        return this.#ready;
+    }
 
     /**
-     * @property {Function} setProvider Set a JSON-RPC node provider per the set
+     * @property {Function} getNetworkConfig Get the registry entry of the
      * [network](#network).
-     * @param {Array<string>} [addresses] Required for [network](#network)='GANACHE_CORE'. An
-     * array of addresses. The address(es) should be derived from the mnemonic.
+     * @throws {UnsupportedNetworkError} The network is not registered.
+     * @returns {NetworkConfigObj} The network configuration.
+     */
+    #getNetworkConfig = () => getNetworkConfig(this.#network, this.#networks, this.#getErrorContext());
+
+    /**
+     * @property {Function} getErrorContext Get the context attached to a Web3WalletError.
+     * @param {number} [index] The account index involved.
+     * @param {Error} [cause] The underlying error.
+     * @returns {ErrorContextObj} The [network](#network), [rpcPort](#rpcPort) and index.
+     */
+    #getErrorContext = (index, cause) => ({ network: this.#network, rpcPort: this.#rpcPort, index, cause });
+
+    /**
+     * @property {Function} getDbPath Get the directory of the in-process chain state.
+     * @returns {string|null} The directory, or null if the chain is not persisted.
+     */
+    #getDbPath = () => {
+        const { persist, dbPath } = this.#chainOptions;
+
+        return dbPath || (persist ? getChainStatePath(persist) : null);
+    }
+
+    /**
+     * @property {Function} getGanacheOptions Get the ganache-core options of the
+     * [chainOptions](#chainOptions).
+     * @returns {Object} The ganache-core options, without the accounts.
+     */
+    #getGanacheOptions = () => {
+        const {
+            chainId, hardfork, gasLimit, gasPrice, blockTime, logging, verbose, fork, impersonate
+        } = this.#chainOptions;
+        const _options = { _chainId: chainId, _chainIdRpc: chainId, blockTime, verbose: !!verbose };
+        const _dbPath = this.#getDbPath();
+
+        if (hardfork) _options.hardfork = hardfork;
+        if (gasLimit) _options.gasLimit = utils.hexValue(BigNumber.from(gasLimit));
+        if (gasPrice) _options.gasPrice = utils.hexValue(BigNumber.from(gasPrice));
+        if (logging || verbose) _options.logger = typeof logging === 'object' ? logging : console;
+        if (_dbPath) {
+            fs.mkdirSync(_dbPath, { recursive: true });
+            _options.db_path = _dbPath;
+        }
+        if (fork) {
+            _options.fork = typeof fork === 'string' ? fork : fork.url;
+            if (fork.blockNumber !== undefined) _options.fork_block_number = fork.blockNumber;
+        }
+        if (impersonate) _options.unlocked_accounts = impersonate;
+
+        return _options;
+    }
+
+    /**
+     * @property {Function} setProvider Set a JSON-RPC node provider per the
+     * [network](#network)'s registry entry.
+     * @param {Array<string>} [privateKeys] For `ganache-core` networks. An array of the
+     * private keys, without the 0x prefix, of every account derived from the mnemonic. A
+     * single chain is seeded with all of them.
+     * @throws {UnsupportedNetworkError} The network is not registered, or not supported by
+     * its Infura or Alchemy provider.
+     * @throws {MissingApiKeyError} No Infura or Alchemy key is set for the network.
      * @returns void
      */
-    #setProvider = (addresses = []) => {
-        switch (this.#network.toUpperCase()) {
-            case ('GANACHE'):
-                const _url = `http://127.0.0.1:${this.#rpcPort}`;
-                this.#provider = new JsonRpcProvider(_url);
-                break;
-            case ('GANACHE_CORE'):
-                if (addresses === []) {
-                    this.#provider = null;
-                }
-                else {
-                    const _accounts = addresses.map(address => {
-                        return {
-                            secretKey: Buffer.from(address, 'hex'),
-                            balance: utils.parseEther(this.#balance).toString(),
-                        }
-                    })
-
-                    this.#provider = new Web3Provider(
-                        Ganache.provider({ accounts: _accounts, default_balance_ether: this.#balance })
-                    );
+    #setProvider = (privateKeys = []) => {
+        const _config = this.#getNetworkConfig();
+
+        if (_config.type !== 'ganache-core') {
+            this.#provider = createProvider(_config, { rpcPort: this.#rpcPort }, this.#getErrorContext());
+            return;
+        }
+
+        const _options = this.#getGanacheOptions();
+
+        // Without keys (e.g. watch-only) the chain makes its own accounts.
+        if (privateKeys.length) {
+            _options.accounts = privateKeys.map((privateKey, i) => {
+                return {
+                    secretKey: Buffer.from(privateKey, 'hex'),
+                    balance: utils.parseEther(this.#getTargetBalance(i)).toString(),
                 }
-                break;
-            default:
-                const _key = this.#getAlchemyApiKey();
-                this.#provider = new AlchemyProvider(this.#network.toLowerCase(), _key);
-                break;
+            });
         }
+
+        this.#provider = new Web3Provider(Ganache.provider(_options));
     }
 
     /**
-     * @property {Function} printKeyPairs Print out the public and private key pairs along with
-     * the associated balances in ETH.
-     * @see getBIP44Wallet
-     * @returns void
+     * @property {Function} healthCheck Check that the [network](#network)'s node(s) answer
+     * with the expected chain id. Failing `jsonrpc` endpoints are tried last until their
+     * cooldown ends.
+     * @returns {Promise<Array.<EndpointHealthObj>>} The health of every endpoint, by
+     * priority.
      */
-    printKeyPairs = () => {
-        const [_wallets, _balances] = this.#bip44Wallet;
+    healthCheck = async () => {
+        if (!this.#provider) await this.#ready;
 
-        console.log('Available Accounts\n==================');
-        _wallets.forEach((_, i) => console.log(`(${i}) ${_wallets[i].address} (${_balances[i]} ETH)`))
+        if (this.#provider instanceof FallbackRpcProvider) return this.#provider.healthCheck();
 
-        console.log('\nPrivate Keys\n==================');
-        _wallets.forEach((_, i) => console.log(`(${i}) ${_wallets[i].privateKey}`))
-        console.log();
+        return [await FallbackRpcProvider.checkEndpoint(this.#provider, {
+            url: this.#provider.connection.url,
+            chainId: this.#getNetworkConfig().chainId,
+        })];
     }
 
     /**
-     * @property {Function} getBIP44Wallet Get an array of BIP4 wallet(s) and their
-     * associated balance(s).
-     * @see setProvider
-     * @returns void
+     * @property {Function} getPeers Get the accounts other than one, with their configured
+     * [balance](#balance), to fund it from (or to) out of their surplus.
+     * @param {Array.<Wallet>} wallets The accounts, connected to the provider.
+     * @param {number} [index] The index of the account being funded. Every account is
+     * returned without one.
+     * @returns {Array.<FundingPeerObj>} The other accounts.
      */
-    getBIP44Wallet = async () => {
-        try {
-            const _path = (step) => `m/44'/60'/0'/0/${step}`;
-            const _wallet = [];
-            const _balances = [];
-            let _account;
-            let _balance;
+    #getPeers = (wallets, index) => wallets
+        .map((_account, i) => ({ wallet: _account, balance: utils.parseEther(this.#getTargetBalance(i)) }))
+        .filter((_, i) => i !== index);
 
-            for (let i = 0; i < this.#numberOfWallets; i++) {
-                _account = Wallet.fromMnemonic(this.#mnemonic, _path(i));
+    /**
+     * @property {Function} fundAccounts Set every account to its configured
+     * [balance](#balance), carrying on past the accounts that cannot be funded.
+     * @param {Array.<Wallet>} wallets The accounts, connected to the provider.
+     * @returns {Promise<Array.<FundingError>>} The errors of the accounts whose balance
+     * could not be set.
+     */
+    #fundAccounts = async (wallets) => {
+        const _errors = await fundAccounts(this.#provider, this.#getPeers(wallets));
 
-                this.#setProvider(
-                    [_account.privateKey.substring(2)], this.#network, this.#balance
-                );
+        return _errors
+            .map((_error, i) => _error && new FundingError(
+                `Cannot set the balance of account ${i}: ${_error.message}`, this.#getErrorContext(i, _error)
+            ))
+            .filter(_error => _error);
+    }
 
-                _account = new Wallet(_account.privateKey, this.#provider);
+    /**
+     * @property {Function} setBalance Set the balance of an account on a local network, using
+     * a node method such as `evm_setAccountBalance` when available and transfers from the
+     * node's unlocked accounts otherwise. Without one, the other accounts fund it out of their
+     * surplus, or take its excess: first those below their balance, then the first one.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @param {string|number} amount The balance in ETH.
+     * @throws {FundingError} The network is not local or the balance could not be set.
+     * @returns {Promise<string>} The new balance in ETH.
+     */
+    setBalance = async (indexOrAlias, amount) => {
+        const index = this.#resolveIndex(indexOrAlias);
+        const [_wallet, _balances] = await this.#ready;
 
-                _wallet.push(_account);
-            }
+        if (!_wallet[index]) {
+            throw new Error(`No account at index ${index}.`);
+        }
 
-            // Do this after just to be sure.
-            _wallet.forEach(async (w) => {
-                _balance = parseFloat(utils.formatEther(
-                    await w.getBalance()
-                )).toString();
+        if (!this.#getNetworkConfig().local) {
+            throw new FundingError(
+                `Cannot set balances on the non-local ${this.#network} network.`, this.#getErrorContext(index)
+            );
+        }
 
-                _balances.push(_balance);
-            });
+        try {
+            const _peers = this.#getPeers(_wallet, index);
 
-            this.#bip44Wallet = [_wallet, _balances];
+            // The excess is moved to another account rather than burnt.
+            await fundAccount(
+                this.#provider, _wallet[index], utils.parseEther(amount.toString()), _peers, _peers[0]?.wallet.address
+            );
         }
         catch (err) {
-            console.log('ERROR: ', err);
-            process.exit(1);
+            throw new FundingError(
+                `Cannot set the balance of account ${index}: ${err.message}`, this.#getErrorContext(index, err)
+            );
         }
+
+        _balances[index] = this.#formatBalance(await _wallet[index].getBalance());
+
+        return _balances[index];
     }
 
     /**
-     * @property {Function} getPrivateKeys Get an array of the private keys derived from the 
-     * mnemonic.
-     * @see getBIP44Wallet
-     * @returns {Promise<Array.<string>>} An array of the private keys.
+     * @property {Function} getLocalProvider Get the provider of a local network.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<JsonRpcProvider|Web3Provider>} The provider.
      */
-    getPrivateKeys = async () => {
-        const [_wallet, _] = this.#bip44Wallet;
+    #getLocalProvider = async () => {
+        if (!this.#getNetworkConfig().local) {
+            throw new NonLocalNetworkError(
+                `The non-local ${this.#network} network cannot be controlled.`, this.#getErrorContext()
+            );
+        }
 
-        const _privateKeys = [];
-        _wallet.forEach(_account => _privateKeys.push(_account.privateKey))
+        await this.#ready;
 
-        return _privateKeys
+        return this.#provider;
     }
 
     /**
-     * @property {Function} getPublicKeys Get an array of the public keys derived from the 
-     * mnemonic.
-     * @see getBIP44Wallet
-     * @returns {Promise<Array.<string>>} An array of the public keys.
-    */
-    getPublicKeys = async () => {
-        const [_wallet, _] = this.#bip44Wallet;
+     * @property {Function} snapshot Snapshot the state of a local chain.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<string>} The snapshot id, usable once with [revert](#revert).
+     */
+    snapshot = async () => localChain.snapshot(await this.#getLocalProvider());
 
-        const _publicKeys = [];
-        _wallet.forEach(_account => _publicKeys.push(_account.address))
+    /**
+     * @property {Function} revert Revert a local chain to a snapshot and reload the
+     * [bip44Wallet](#bip44Wallet) balances. The snapshot and every later one are discarded.
+     * @param {string} id The snapshot id.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<boolean>} Whether the snapshot existed.
+     */
+    revert = async (id) => {
+        const _reverted = await localChain.revert(await this.#getLocalProvider(), id);
+        const [_wallet, _] = await this.#ready;
 
-        return _publicKeys
+        // The nonces went back with the chain.
+        this.#nonceManagers.forEach(_nonceManager => _nonceManager.sync());
+        await this.#refreshBalances(_wallet.map(_account => _account.address));
+
+        return _reverted;
     }
 
     /**
-     * @property {Function} getKeyPairs Get the private/public key pairs derived from the 
-     * mnemonic. The number of key pairs returned will be set by numberOfWallets.
-     * @see getBIP44Wallet
-     * @returns {Promise.<KeyPair>} keyPairs An array of arrays of both private and public  key 
-     * pairs derived from the mnemonic using [getBIP44Wallet](#getBIP44Wallet).
-    */
-    getKeyPairs = async () => {
-        const [_wallet, _] = this.#bip44Wallet;
+     * @property {Function} increaseTime Move the clock of a local chain forward. It applies
+     * from the next mined block.
+     * @param {number} seconds The number of seconds.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<number>} The total time adjustment in seconds.
+     */
+    increaseTime = async (seconds) => localChain.increaseTime(await this.#getLocalProvider(), seconds);
+
+    /**
+     * @property {Function} mine Mine blocks on a local chain.
+     * @param {number} [blocks] The number of blocks. Defaults to 1.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<number>} The new block number.
+     */
+    mine = async (blocks = 1) => localChain.mine(await this.#getLocalProvider(), blocks);
+
+    /**
+     * @property {Function} setNextBlockTimestamp Set the timestamp of the next block mined on
+     * a local chain. On ganache-core it sets the chain clock.
+     * @param {number|Date} timestamp The timestamp in seconds, or a date.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<void>}
+     */
+    setNextBlockTimestamp = async (timestamp) => localChain.setNextBlockTimestamp(
+        await this.#getLocalProvider(),
+        timestamp instanceof Date ? Math.floor(timestamp.getTime() / 1000) : timestamp
+    );
+
+    /**
+     * @property {Function} impersonate Send as any address on a local chain without its key,
+     * e.g. a whale or a contract owner on a forked chain.
+     * @param {string} address The address.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<JsonRpcSigner>} A signer sending as the address through the node.
+     */
+    impersonate = async (address) => localChain.impersonate(await this.#getLocalProvider(), utils.getAddress(address));
+
+    /**
+     * @property {Function} stopImpersonating Stop sending as an address impersonated with
+     * [impersonate](#impersonate).
+     * @param {string} address The address.
+     * @throws {NonLocalNetworkError} The network is not local.
+     * @returns {Promise<void>}
+     */
+    stopImpersonating = async (address) => localChain.stopImpersonating(
+        await this.#getLocalProvider(), utils.getAddress(address)
+    );
+
+    /**
+     * @property {Function} getNonceManager Get the nonce manager of an account, which tracks
+     * its pending transactions across concurrent sends.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @returns {Promise<NonceManager>} The account's nonce manager.
+     */
+    #getNonceManager = async (indexOrAlias) => {
+        this.#assertNotWatchOnly('send transactions');
+
+        const index = this.#resolveIndex(indexOrAlias);
+        const [_wallet, _] = await this.#ready;
+
+        if (!_wallet[index]) {
+            throw new Error(`No account at index ${index}.`);
+        }
+
+        const _address = _wallet[index].address;
+        if (!this.#nonceManagers.has(_address)) {
+            this.#nonceManagers.set(_address, new NonceManager(_wallet[index]));
+        }
+
+        return this.#nonceManagers.get(_address);
+    }
+
+    /**
+     * @property {Function} resolveAddress Get the address of an account index or alias, or
+     * check an address.
+     * @param {number|string} indexOrAddress The account index or alias, or an address.
+     * @returns {Promise<string>} The address.
+     */
+    #resolveAddress = async (indexOrAddress) => {
+        const [_wallet, _] = await this.#ready;
+
+        if (Object.hasOwn(this.#aliases, indexOrAddress)) {
+            indexOrAddress = this.#aliases[indexOrAddress];
+        }
+
+        if (typeof indexOrAddress === 'number') {
+            if (!_wallet[indexOrAddress]) {
+                throw new Error(`No account at index ${indexOrAddress}.`);
+            }
+
+            return _wallet[indexOrAddress].address;
+        }
+
+        return utils.getAddress(indexOrAddress);
+    }
+
+    /**
+     * @property {Function} send Send ETH from an account. Sends from the same account may run
+     * concurrently: nonces are assigned per account and dropped or replaced transactions are
+     * recovered from.
+     * @param {TransferParamsObj} transferParamsObj The transfer.
+     * @returns {Promise<TransactionReceipt>} The receipt.
+     */
+    send = async ({ from, to, amount, overrides = {} }) => {
+        const _nonceManager = await this.#getNonceManager(from);
+        const _to = await this.#resolveAddress(to);
+
+        const _receipt = await _nonceManager.sendAndWait({
+            ...overrides,
+            to: _to,
+            value: utils.parseEther(amount.toString()),
+        });
+
+        await this.#refreshBalances([_nonceManager.address, _to]);
+
+        return _receipt;
+    }
+
+    /**
+     * @property {Function} distribute Send ETH from one account to several recipients
+     * concurrently.
+     * @param {Object} params
+     * @param {number} [params.from] The index of the sending account. Defaults to 0.
+     * @param {Array.<number|string>} [params.to] The receiving account indexes or addresses.
+     * Defaults to every other account.
+     * @param {string|number|Array.<string|number>} params.amount The amount in ETH, or one
+     * amount per recipient.
+     * @returns {Promise<Array.<TransactionReceipt>>} The receipts, index-aligned with the
+     * recipients.
+     */
+    distribute = async ({ from = 0, to, amount }) => {
+        const [_wallet, _] = await this.#ready;
+
+        const _from = this.#resolveIndex(from);
+        const _recipients = to || [...Array(_wallet.length).keys()].filter(i => i !== _from);
+        const _amounts = Array.isArray(amount) ? amount : _recipients.map(() => amount);
+
+        if (_amounts.length !== _recipients.length) {
+            throw new Error(`Got ${_amounts.length} amounts for ${_recipients.length} recipients.`);
+        }
+
+        const _nonceManager = await this.#getNonceManager(from);
+        const _addresses = await Promise.all(_recipients.map(this.#resolveAddress));
+
+        const _receipts = await Promise.all(_addresses.map((_to, i) => _nonceManager.sendAndWait({
+            to: _to,
+            value: utils.parseEther(_amounts[i].toString()),
+        })));
+
+        await this.#refreshBalances([_nonceManager.address, ..._addresses]);
+
+        return _receipts;
+    }
+
+    /**
+     * @property {Function} getSigner Get an account able to sign.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @throws {WatchOnlyError} The wallet is watch-only.
+     * @returns {Promise<Wallet>} The account.
+     */
+    #getSigner = async (indexOrAlias) => {
+        this.#assertNotWatchOnly('sign');
+
+        return this.getAccount(indexOrAlias);
+    }
+
+    /**
+     * @property {Function} identifySigner Map a recovered signer back to an account.
+     * @param {string} address The signer address.
+     * @returns {Promise<SignerObj>} The signer and its account index and alias, if derived.
+     */
+    #identifySigner = async (address) => {
+        const [_wallet, _] = await this.#ready;
+
+        let _index = _wallet.findIndex(_account => _account.address === address);
+
+        // Accounts past numberOfWallets are searched along the derivation path only.
+        if (_index < 0) {
+            const _found = this.findAddress(address, { paths: [this.#derivationPath] });
+            const _offset = this.#privateKeys ? 0 : this.#startIndex;
+
+            _index = _found && _found.index >= _offset ? _found.index - _offset : -1;
+        }
+
+        return _index < 0
+            ? { address, index: null, alias: null }
+            : { address, index: _index, alias: this.#getAlias(_index) || null };
+    }
+
+    /**
+     * @property {Function} signMessage Sign a message with `personal_sign` (EIP-191).
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @param {string|Uint8Array} message The message. Strings are signed as UTF-8.
+     * @throws {WatchOnlyError} The wallet is watch-only.
+     * @returns {Promise<string>} The signature.
+     */
+    signMessage = async (indexOrAlias, message) => (await this.#getSigner(indexOrAlias)).signMessage(message);
+
+    /**
+     * @property {Function} verifyMessage Recover the signer of an EIP-191 message.
+     * @param {string|Uint8Array} message The message.
+     * @param {string} signature The signature.
+     * @returns {Promise<SignerObj>} The signer and its account index and alias, if derived.
+     */
+    verifyMessage = async (message, signature) => this.#identifySigner(utils.verifyMessage(message, signature));
+
+    /**
+     * @property {Function} signTypedData Sign EIP-712 typed data, as `eth_signTypedData_v4`.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @param {TypedDataDomain} domain The EIP-712 domain.
+     * @param {Object.<string, Array.<TypedDataField>>} types The types, without
+     * `EIP712Domain`.
+     * @param {Object} value The value.
+     * @throws {WatchOnlyError} The wallet is watch-only.
+     * @returns {Promise<string>} The signature.
+     */
+    signTypedData = async (indexOrAlias, domain, types, value) => (await this.#getSigner(indexOrAlias))
+        ._signTypedData(domain, types, value);
+
+    /**
+     * @property {Function} verifyTypedData Recover the signer of EIP-712 typed data.
+     * @param {TypedDataDomain} domain The EIP-712 domain.
+     * @param {Object.<string, Array.<TypedDataField>>} types The types, without
+     * `EIP712Domain`.
+     * @param {Object} value The value.
+     * @param {string} signature The signature.
+     * @returns {Promise<SignerObj>} The signer and its account index and alias, if derived.
+     */
+    verifyTypedData = async (domain, types, value, signature) => this.#identifySigner(
+        utils.verifyTypedData(domain, types, value, signature)
+    );
+
+    /**
+     * @property {Function} signPermit Sign an EIP-2612 permit allowing a spender to use an
+     * account's tokens. The token name, version and the account's nonce are read from the
+     * token unless given.
+     * @param {number|string} indexOrAlias The account index or alias of the owner.
+     * @param {Object} params
+     * @param {string} params.token The token contract address.
+     * @param {number|string} params.spender The spender address, or account index or alias.
+     * @param {BigNumberish} params.value The allowance in the token's smallest unit.
+     * @param {BigNumberish} [params.deadline] The expiry timestamp in seconds. Defaults to
+     * an hour from now.
+     * @param {BigNumberish} [params.nonce] The owner's permit nonce.
+     * @param {string} [params.name] The token name.
+     * @param {string} [params.version] The domain version.
+     * @throws {WatchOnlyError} The wallet is watch-only.
+     * @returns {Promise<PermitObj>} The signed permit.
+     */
+    signPermit = async (indexOrAlias, { token, spender, value, deadline, nonce, name, version }) => {
+        const _owner = await this.#getSigner(indexOrAlias);
+
+        const _permit = buildPermit({
+            ...await getPermitParams(this.#provider, token, _owner.address, { name, version, nonce }),
+            token,
+            owner: _owner.address,
+            spender: await this.#resolveAddress(spender),
+            value,
+            deadline: deadline !== undefined ? deadline : Math.floor(Date.now() / 1000) + 3600,
+        });
+        const _signature = await _owner._signTypedData(_permit.domain, _permit.types, _permit.value);
+        const { v, r, s } = utils.splitSignature(_signature);
+
+        return { ..._permit, signature: _signature, v, r, s };
+    }
+
+    /**
+     * @property {Function} refreshBalances Reload the [bip44Wallet](#bip44Wallet) balances of
+     * the given addresses that belong to derived accounts.
+     * @param {Array.<string>} addresses The addresses.
+     * @returns {Promise<void>}
+     */
+    #refreshBalances = async (addresses) => {
+        const [_wallet, _balances] = await this.#ready;
+
+        const _indexes = [..._wallet.keys()].filter(i => addresses.includes(_wallet[i].address));
+        const _loaded = await getBalances(this.#provider, _indexes.map(i => _wallet[i].address));
+
+        _indexes.forEach((_index, i) => { _balances[_index] = this.#formatBalance(_loaded[i]); });
+    }
+
+    /**
+     * @property {Function} printKeyPairs Print out the public and private key pairs along with
+     * the associated balances in ETH.
+     * @see getBIP44Wallet
+     * @param {FormatOptionsObj} [options] The output format, columns and secret masking.
+     * @param {stream.Writable} [options.stream] The stream to write to instead of the console.
+     * @param {Array.<string>} [options.tokens] ERC-20 token addresses whose balances are
+     * shown in a `tokens` column.
+     * @returns {Promise<void>}
+     */
+    printKeyPairs = async ({ stream, tokens, ...options } = {}) => {
+        const [_wallets, _balances] = await this.#ready;
+        const _tokenBalances = tokens ? await this.getTokenBalances(tokens) : null;
+
+        if (!options.columns && Object.keys(this.#aliases).length) {
+            options.columns = ['alias', ...DEFAULT_COLUMNS];
+        }
+
+        if (this.#extendedPublicKey) {
+            if (options.columns?.includes('privateKey')) this.#assertNotWatchOnly('print private keys');
+
+            options.columns = (options.columns || DEFAULT_COLUMNS).filter(_column => _column !== 'privateKey');
+        }
+
+        if (_tokenBalances) {
+            const _columns = options.columns || DEFAULT_COLUMNS;
+            options.columns = _columns.includes('tokens') ? _columns : [..._columns, 'tokens'];
+        }
+
+        const _rows = _wallets.map((_wallet, i) => {
+            return {
+                index: i,
+                alias: this.#getAlias(i),
+                address: _wallet.address,
+                balance: _balances[i],
+                tokens: _tokenBalances && _tokenBalances[i]
+                    .map(_token => `${_token.formatted} ${_token.symbol}`)
+                    .join(', '),
+                path: this.#paths[i],
+                publicKey: _wallet.publicKey,
+                privateKey: _wallet.privateKey,
+            }
+        });
+
+        const _output = formatKeyPairs(_rows, options);
+
+        if (stream) {
+            stream.write(`${_output}\n`);
+        }
+        else {
+            console.log(_output);
+        }
+    }
+
+    /**
+     * @property {Function} getKeyDeriver Get the key deriver of the [mnemonic](#mnemonic),
+     * kept until the mnemonic, [passphrase](#passphrase) or [locale](#locale) change so
+     * derived keys survive every other setter.
+     * @returns {KeyDeriver} The key deriver.
+     */
+    #getKeyDeriver = () => {
+        const _keyDeriverId = JSON.stringify([this.#mnemonic, this.#passphrase, this.#locale, this.#extendedPublicKey]);
+
+        if (this.#keyDeriverId !== _keyDeriverId) {
+            this.#keyDeriver = this.#extendedPublicKey
+                ? KeyDeriver.fromExtendedKey(this.#extendedPublicKey)
+                : KeyDeriver.fromMnemonic(this.#mnemonic, this.#passphrase, this.#getWordlist());
+            this.#keyDeriverId = _keyDeriverId;
+        }
+
+        return this.#keyDeriver;
+    }
+
+    /**
+     * @property {Function} assertNotWatchOnly Check that the wallet holds private keys.
+     * @param {string} action What needs the private keys, for the error message.
+     * @throws {WatchOnlyError} The wallet is watch-only.
+     * @returns void
+     */
+    #assertNotWatchOnly = (action) => {
+        if (this.#extendedPublicKey) {
+            throw new WatchOnlyError(
+                `Cannot ${action}: the wallet is watch-only (created from an extended public key).`,
+                this.#getErrorContext()
+            );
+        }
+    }
+
+    /**
+     * @property {Function} getChildTemplate Get the path template of a watch-only wallet's
+     * accounts, relative to its extended public key.
+     * @throws {Error} An extended public key cannot reproduce the derivation path.
+     * @returns {string} The template, e.g. `0/{index}`.
+     */
+    #getChildTemplate = () => splitDerivationPath(this.#derivationPath).childTemplate;
+
+    /**
+     * @property {Function} derivePath Derive the key of a path, or only its address and
+     * public key when watch-only.
+     * @param {string} path The derivation path, relative to the extended public key when
+     * watch-only.
+     * @returns {{path: string, signingKey: SigningKey|null, address: string, publicKey: string}}
+     * The derivation.
+     */
+    #derivePath = (path) => {
+        if (this.#extendedPublicKey) {
+            return { path, signingKey: null, ...this.#getKeyDeriver().getPublicNode(path) };
+        }
+
+        const _signingKey = this.#getKeyDeriver().getSigningKey(path);
+
+        return { path, signingKey: _signingKey, publicKey: _signingKey.publicKey };
+    }
+
+    /**
+     * @property {Function} deriveAccount Derive the key of an account.
+     * @param {number} index The account index.
+     * @throws {DerivationError} The account could not be derived.
+     * @returns {{path: string|null, signingKey: SigningKey|null, address: string, publicKey: string}}
+     * The derivation path (null for loaded private keys), signing key (null when
+     * watch-only), address and public key.
+     */
+    #deriveAccount = (index) => {
+        if (this.#privateKeys) {
+            const _signingKey = new utils.SigningKey(this.#privateKeys[index]);
+
+            return { path: null, signingKey: _signingKey, publicKey: _signingKey.publicKey };
+        }
+
+        try {
+            return this.#derivePath(this.#extendedPublicKey
+                ? this.#getChildTemplate().replace(/\{index\}/g, this.#startIndex + index)
+                : resolveDerivationPath(this.#derivationPath, this.#startIndex + index));
+        }
+        catch (err) {
+            throw new DerivationError(
+                `Cannot derive account ${index}: ${err.message}`, this.#getErrorContext(index, err)
+            );
+        }
+    }
+
+    #formatBalance = (balance) => parseFloat(utils.formatEther(balance)).toString();
+
+    /**
+     * @property {Function} toAccount Get the wallet of a derived account, or a VoidSigner
+     * when watch-only.
+     * @param {Object} account The account from [deriveAccount](#deriveAccount).
+     * @param {Provider|null} [provider] The provider to connect to. Defaults to the wallet's.
+     * @returns {Wallet|VoidSigner} The account.
+     */
+    #toAccount = (account, provider = this.#provider) => {
+        if (account.signingKey) return new Wallet(account.signingKey, provider);
+
+        const _signer = new VoidSigner(account.address, provider);
+        utils.defineReadOnly(_signer, 'publicKey', account.publicKey);
+
+        return _signer;
+    }
+
+    /**
+     * @property {Function} getAccount Get an account, connected to the provider. Accounts
+     * past [numberOfWallets](#numberOfWallets) are derived on first access, but not funded.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @returns {Promise<Wallet>} The account.
+     */
+    getAccount = async (indexOrAlias) => {
+        const index = this.#resolveIndex(indexOrAlias);
+        const [_wallet, _] = await this.#ready;
+
+        if (_wallet[index]) return _wallet[index];
+
+        if (!Number.isInteger(index) || index < 0 || this.#privateKeys) {
+            throw new Error(`No account at index ${index}.`);
+        }
+
+        return this.#toAccount(this.#deriveAccount(index));
+    }
+
+    /**
+     * @property {Function} discoverUsedAddresses Scan the addresses of a path template until
+     * a gap of unused ones.
+     * @param {string} template The path template, e.g. `m/44'/60'/0'/0/{index}`.
+     * @param {number} gapLimit The number of consecutive unused addresses ending the scan.
+     * @throws {DerivationError} An address could not be derived.
+     * @throws {ProviderUnreachableError} The balances or nonces could not be loaded.
+     * @returns {Promise<Array.<Object>>} The derivations of the used addresses, with their
+     * `balance` and `nonce`.
+     */
+    #discoverUsedAddresses = async (template, gapLimit) => {
+        const _used = [];
+
+        for (let _index = 0, _gap = 0; _gap < gapLimit; _index += gapLimit) {
+            const _accounts = [...Array(gapLimit).keys()].map(i => {
+                const _path = template.replace(/\{index\}/g, _index + i);
+
+                try {
+                    return this.#derivePath(_path);
+                }
+                catch (err) {
+                    throw new DerivationError(`Cannot derive ${_path}: ${err.message}`, this.#getErrorContext(undefined, err));
+                }
+            });
+            const _addresses = _accounts.map(_account => utils.computeAddress(_account.publicKey));
+
+            let _balances, _nonces;
+            try {
+                [_balances, _nonces] = await Promise.all([
+                    getBalances(this.#provider, _addresses),
+                    getTransactionCounts(this.#provider, _addresses),
+                ]);
+            }
+            catch (err) {
+                throw new ProviderUnreachableError(
+                    `Cannot load the balances and nonces of ${template}: ${err.message}`, this.#getErrorContext(undefined, err)
+                );
+            }
+
+            for (let i = 0; i < gapLimit && _gap < gapLimit; i++) {
+                if (_balances[i].isZero() && _nonces[i] === 0) {
+                    _gap++;
+                    continue;
+                }
+
+                _used.push({ ..._accounts[i], balance: _balances[i], nonce: _nonces[i] });
+                _gap = 0;
+            }
+        }
+
+        return _used;
+    }
+
+    /**
+     * @property {Function} discoverAccounts Find the used accounts of the mnemonic instead of
+     * guessing [numberOfWallets](#numberOfWallets). BIP44 accounts `m/44'/60'/{account}'`
+     * are walked in turn, each scanned along `0/{index}` until `gapLimit` consecutive
+     * addresses have a zero nonce and balance, and the walk ends at the first unused
+     * account. A watch-only wallet scans the addresses of its extended public key.
+     * @param {Object} [options]
+     * @param {number} [options.gapLimit] The number of consecutive unused addresses ending
+     * the scan of an account. Defaults to `DISCOVERY_GAP_LIMIT` in config.js.
+     * @throws {DerivationError} An address could not be derived.
+     * @throws {ProviderUnreachableError} The balances or nonces could not be loaded.
+     * @returns {Promise<DiscoveredAccountsArray>} The used accounts, their balances in ETH,
+     * derivation paths and nonces.
+     */
+    discoverAccounts = async ({ gapLimit = DISCOVERY_GAP_LIMIT } = {}) => {
+        if (this.#privateKeys) {
+            throw new Error('Accounts loaded from private keys cannot be discovered.');
+        }
+
+        if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+            throw new Error(`Invalid gap limit ${gapLimit}.`);
+        }
+
+        await this.#ready;
+
+        const _used = [];
+        for (let _account = 0; ; _account++) {
+            const _found = await this.#discoverUsedAddresses(
+                this.#extendedPublicKey ? this.#getChildTemplate() : `m/44'/60'/${_account}'/0/{index}`, gapLimit
+            );
+
+            _used.push(..._found);
+            if (!_found.length || this.#extendedPublicKey) break;
+        }
+
+        return [
+            _used.map(_account => this.#toAccount(_account)),
+            _used.map(_account => this.#formatBalance(_account.balance)),
+            _used.map(_account => _account.path),
+            _used.map(_account => _account.nonce),
+        ];
+    }
+
+    /**
+     * @property {Function} findAddress Find the derivation index of an address without
+     * touching the provider. By default the derivation path is searched first, then the
+     * `DERIVATION_PATH` presets in config.js. A watch-only wallet searches the children of its
+     * extended public key along its derivation path, and a wallet loaded from private keys
+     * searches the loaded keys.
+     * @param {string} address The address.
+     * @param {Object} [options]
+     * @param {number} [options.maxIndex] The last index searched on every path. Defaults to
+     * `FIND_ADDRESS_MAX_INDEX` in config.js.
+     * @param {Array.<DerivationPath>} [options.paths] The derivation paths to search, in
+     * order.
+     * @throws {DerivationError} A path could not be derived.
+     * @returns {{index: number, path: string|null, wallet: Wallet}|null} The index inserted
+     * into the path, the path and the account (not connected to the provider), or null if
+     * the address was not found.
+     */
+    findAddress = (address, { maxIndex = FIND_ADDRESS_MAX_INDEX, paths } = {}) => {
+        const _address = utils.getAddress(address);
+
+        if (!Number.isInteger(maxIndex) || maxIndex < 0) {
+            throw new Error(`Invalid max index ${maxIndex}.`);
+        }
+
+        if (this.#privateKeys) {
+            const _index = this.#privateKeys.findIndex(_privateKey => utils.computeAddress(_privateKey) === _address);
+
+            return _index < 0 ? null : { index: _index, path: null, wallet: new Wallet(this.#privateKeys[_index]) };
+        }
+
+        // Presets are compared by template so a path given both ways is searched once.
+        const _templates = (paths || [this.#derivationPath, ...Object.keys(DERIVATION_PATH)])
+            .map(_path => typeof _path === 'string' ? DERIVATION_PATH[_path.toUpperCase()] || _path : _path);
+        const _resolvers = this.#extendedPublicKey
+            ? [index => this.#getChildTemplate().replace(/\{index\}/g, index)]
+            : [...new Set(_templates)].map(_template => index => resolveDerivationPath(_template, index));
+
+        for (const _resolve of _resolvers) {
+            for (let _index = 0; _index <= maxIndex; _index++) {
+                let _account;
+
+                try {
+                    _account = this.#derivePath(_resolve(_index));
+                }
+                catch (err) {
+                    throw new DerivationError(
+                        `Cannot derive index ${_index}: ${err.message}`, this.#getErrorContext(undefined, err)
+                    );
+                }
+
+                if (utils.computeAddress(_account.publicKey) === _address) {
+                    return { index: _index, path: _account.path, wallet: this.#toAccount(_account, null) };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @property {Function} getBIP44Wallet Get an array of BIP4 wallet(s) and their
+     * associated balance(s). Balances are index-aligned with the wallets.
+     * @see setProvider
+     * @throws {InvalidMnemonicError} The mnemonic is not a valid BIP39 phrase.
+     * @throws {DerivationError} An account could not be derived.
+     * @throws {ProviderUnreachableError} The JSON-RPC node cannot be reached.
+     * @throws {ChainIdMismatchError} The node reports another chain id than the network's.
+     * @returns {Promise<BIP44WalletArray>} The BIP44 wallet and associated balances.
+     */
+    getBIP44Wallet = async () => {
+        const _refreshId = ++this.#refreshId;
+
+        if (!this.#privateKeys && !this.#extendedPublicKey) {
+            const _validation = this.validateMnemonic();
+
+            if (!_validation.valid) {
+                throw new InvalidMnemonicError(_validation, this.#getErrorContext());
+            }
+        }
+
+        const _accounts = [...Array(this.#numberOfWallets).keys()].map(this.#deriveAccount);
+        const _paths = _accounts.map(_account => _account.path);
+
+        // One provider (and for GANACHE_CORE one chain) shared by every account. It is
+        // kept across refreshes until a setter resets it, and the chain it replaces must
+        // release its saved state first.
+        await this.#closing;
+        const _isNewProvider = !this.#provider;
+        if (_isNewProvider) {
+            this.#fundingErrors = [];
+            this.#setProvider(_accounts
+                .filter(_account => _account.signingKey)
+                .map(_account => _account.signingKey.privateKey.substring(2)));
+        }
+
+        const _wallet = _accounts.map(_account => this.#toAccount(_account));
+
+        const _config = this.#getNetworkConfig();
+        let _chainId;
+
+        try {
+            // Infura and Alchemy providers take the chain id of their network on trust.
+            _chainId = ['infura', 'alchemy'].includes(_config.type)
+                ? BigNumber.from(await this.#provider.send('eth_chainId', [])).toNumber()
+                : (await this.#provider.getNetwork()).chainId;
+        }
+        catch (err) {
+            throw new ProviderUnreachableError(
+                `Cannot reach the ${this.#network} JSON-RPC node: ${err.message}`, this.#getErrorContext(undefined, err)
+            );
+        }
+
+        if (_config.chainId && _config.chainId !== _chainId) {
+            throw new ChainIdMismatchError(_config.chainId, _chainId, this.#getErrorContext());
+        }
+
+        // ganache-core accounts are created with their balance, an external node's are not.
+        // Accounts that cannot be funded are reported in fundingErrors, they are still usable.
+        if (_isNewProvider && _config.local && _config.type !== 'ganache-core') {
+            this.#fundingErrors = await this.#fundAccounts(_wallet);
+        }
+
+        // Do this after just to be sure.
+        let _balances;
+
+        try {
+            _balances = (await getBalances(this.#provider, _wallet.map(_account => _account.address)))
+                .map(this.#formatBalance);
+        }
+        catch (err) {
+            throw new ProviderUnreachableError(
+                `Cannot load the account balances: ${err.message}`, this.#getErrorContext(undefined, err)
+            );
+        }
+
+        // A newer refresh started while the balances were loading.
+        if (_refreshId === this.#refreshId) {
+            this.#bip44Wallet = [_wallet, _balances];
+            this.#paths = _paths;
+        }
+
+        return [_wallet, _balances];
+    }
+
+    /**
+     * @property {Function} getPrivateKeys Get an array of the private keys derived from the 
+     * mnemonic.
+     * @see getBIP44Wallet
+     * @returns {Promise<Array.<string>>} An array of the private keys.
+     */
+    getPrivateKeys = async () => {
+        this.#assertNotWatchOnly('get private keys');
+
+        const [_wallet, _] = await this.#ready;
+
+        const _privateKeys = [];
+        _wallet.forEach(_account => _privateKeys.push(_account.privateKey))
+
+        return _privateKeys
+    }
+
+    /**
+     * @property {Function} getPublicKeys Get an array of the public keys derived from the 
+     * mnemonic.
+     * @see getBIP44Wallet
+     * @returns {Promise<Array.<string>>} An array of the public keys.
+    */
+    getPublicKeys = async () => {
+        const [_wallet, _] = await this.#ready;
+
+        const _publicKeys = [];
+        _wallet.forEach(_account => _publicKeys.push(_account.address))
+
+        return _publicKeys
+    }
+
+    /**
+     * @property {Function} getTokenBalances Get the ERC-20 balances of every account, with
+     * the token symbols and decimals resolved.
+     * @param {Array.<string>} tokenAddresses The token contract addresses.
+     * @returns {Promise<Array.<Array.<TokenBalanceObj>>>} The balances per account,
+     * index-aligned with [getPublicKeys](#getPublicKeys), each holding one entry per token.
+     */
+    getTokenBalances = async (tokenAddresses) => {
+        const _addresses = await this.getPublicKeys();
+
+        return getTokenBalances(this.#provider, tokenAddresses, _addresses);
+    }
+
+    /**
+     * @property {Function} getNftHoldings Get the ERC-721 tokens owned by every account.
+     * @param {Array.<string>} collectionAddresses The collection contract addresses.
+     * @param {Object} [options]
+     * @param {Object.<string, Array.<string|number>>} [options.tokenIds] Candidate token ids
+     * keyed by collection address, checked with `ownerOf` for collections that are not
+     * ERC721Enumerable.
+     * @returns {Promise<Array.<Array.<NftHoldingObj>>>} The holdings per account,
+     * index-aligned with [getPublicKeys](#getPublicKeys), each holding one entry per
+     * collection.
+     */
+    getNftHoldings = async (collectionAddresses, { tokenIds } = {}) => {
+        const _addresses = await this.getPublicKeys();
+
+        return getNftHoldings(this.#provider, collectionAddresses, _addresses, tokenIds);
+    }
+
+    /**
+     * @property {Function} getDerivationPaths Get an array of the HD derivation paths of the
+     * accounts derived from the mnemonic.
+     * @see getBIP44Wallet
+     * @returns {Promise<Array.<string>>} An array of the derivation paths.
+     */
+    getDerivationPaths = async () => {
+        await this.#ready;
+
+        return [...this.#paths];
+    }
+
+    /**
+     * @property {Function} getExtendedPublicKey Get the extended public key (xpub) at the
+     * last hardened level of the [derivationPath](#derivationPath), e.g. `m/44'/60'/0'` for
+     * BIP44. A watch-only wallet created from it with the same derivationPath derives the
+     * same addresses on another machine.
+     * @param {number} [account] Another BIP44 account `m/44'/60'/{account}'` of a BIP44-style
+     * path. Defaults to the path's own.
+     * @throws {WatchOnlyError} The wallet is watch-only.
+     * @throws {DerivationError} An extended public key cannot reproduce the derivation path,
+     * e.g. `LEDGER_LIVE` whose index is hardened.
+     * @returns {string} The extended public key.
+     */
+    getExtendedPublicKey = (account) => {
+        this.#assertNotWatchOnly('get an extended public key');
+
+        if (!this.#mnemonic) {
+            throw new Error('An extended public key needs a mnemonic, the wallet was loaded from private keys.');
+        }
+
+        let _basePath;
+        try {
+            _basePath = splitDerivationPath(this.#derivationPath).basePath;
+        }
+        catch (err) {
+            throw new DerivationError(err.message, this.#getErrorContext(undefined, err));
+        }
+
+        if (account !== undefined) {
+            if (!Number.isInteger(account) || account < 0) {
+                throw new Error(`Invalid BIP44 account ${account}.`);
+            }
+
+            if (!/^m\/44'\/60'\/\d+'$/.test(_basePath)) {
+                throw new DerivationError(
+                    `The derivation path has no BIP44 account level to set to ${account}.`, this.#getErrorContext()
+                );
+            }
+
+            _basePath = `m/44'/60'/${account}'`;
+        }
+
+        return this.#getKeyDeriver().getExtendedPublicKey(_basePath);
+    }
+
+    /**
+     * @property {Function} exportKeystore Encrypt an account into a JSON (V3) keystore.
+     * @param {number|string} indexOrAlias The account index or alias.
+     * @param {string} password The keystore password.
+     * @param {KeystoreOptionsObj} [options] The keystore export options.
+     * @returns {Promise<string>} The keystore JSON.
+     */
+    exportKeystore = async (indexOrAlias, password, options = {}) => {
+        this.#assertNotWatchOnly('export keystores');
+
+        const index = this.#resolveIndex(indexOrAlias);
+        const [_wallet, _] = await this.#ready;
+
+        if (!_wallet[index]) {
+            throw new Error(`No account at index ${index}.`);
+        }
+
+        const _includeMnemonic = options.includeMnemonic !== false && this.#mnemonic && !this.#passphrase;
+        const _account = _includeMnemonic
+            ? Wallet.fromMnemonic(this.#mnemonic, this.#paths[index], this.#getWordlist())
+            : new Wallet(_wallet[index].privateKey);
+
+        return _account.encrypt(password, { scrypt: { ...KEYSTORE_SCRYPT, ...options.scrypt } });
+    }
+
+    /**
+     * @property {Function} exportAllKeystores Encrypt every account into a JSON (V3)
+     * keystore file named like geth's `UTC--<date>--<address>`.
+     * @param {string} dir The directory to write the keystores to. It is created if needed.
+     * @param {string} password The keystore password.
+     * @param {KeystoreOptionsObj} [options] The keystore export options.
+     * @returns {Promise<Array.<string>>} The keystore file paths, index-aligned with the
+     * wallets.
+     */
+    exportAllKeystores = async (dir, password, options = {}) => {
+        this.#assertNotWatchOnly('export keystores');
+
+        const [_wallet, _] = await this.#ready;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const _files = [];
+        for (let i = 0; i < _wallet.length; i++) {
+            const _timestamp = new Date().toISOString().replace(/:/g, '-');
+            const _file = path.join(dir, `UTC--${_timestamp}--${_wallet[i].address.substring(2).toLowerCase()}`);
+
+            await fs.promises.writeFile(_file, await this.exportKeystore(i, password, options));
+            _files.push(_file);
+        }
+
+        return _files;
+    }
+
+    /**
+     * @property {Function} getExportAccounts Get the private keys and configured balances in
+     * wei of the accounts.
+     * @returns {Promise<Array.<ExportAccountObj>>} The accounts to export.
+     */
+    #getExportAccounts = async () => {
+        this.#assertNotWatchOnly('export private keys');
+
+        const [_wallet, _] = await this.#ready;
+
+        return _wallet.map((_account, i) => {
+            return {
+                alias: this.#getAlias(i),
+                privateKey: _account.privateKey,
+                balance: utils.parseEther(this.#getTargetBalance(i)).toString(),
+            }
+        });
+    }
+
+    /**
+     * @property {Function} getExportHDWallet Get how the accounts are derived, for tools
+     * deriving from an English mnemonic and a path prefix.
+     * @returns {ExportMnemonicObj|null} The derivation, or null if the accounts cannot be
+     * derived from a path prefix or the mnemonic is not English.
+     */
+    #getExportHDWallet = () => {
+        const _pathPrefix = getDerivationPathPrefix(this.#derivationPath);
+        if (!this.#mnemonic || !_pathPrefix) return null;
+
+        // hdwallet-provider and ganache-cli only read English mnemonics.
+        const _locale = this.#locale ? this.#locale.toLowerCase() : detectLocale(this.#mnemonic);
+        if (_locale !== 'en') return null;
+
+        return {
+            mnemonic: this.#mnemonic,
+            passphrase: this.#passphrase,
+            pathPrefix: _pathPrefix,
+            startIndex: this.#startIndex,
+            numberOfWallets: this.#numberOfWallets,
+        }
+    }
+
+    /**
+     * @property {Function} exportHardhatConfig Get a hardhat.config.js `networks.hardhat`
+     * snippet funding the accounts with their configured balances.
+     * @returns {Promise<string>} The Hardhat configuration snippet.
+     */
+    exportHardhatConfig = async () => toHardhatConfig(await this.#getExportAccounts());
+
+    /**
+     * @property {Function} exportTruffleConfig Get a truffle-config.js `networks` snippet
+     * using @truffle/hdwallet-provider, with the mnemonic if the accounts can be derived from
+     * a path prefix of an English mnemonic without a [passphrase](#passphrase) and the private
+     * keys otherwise.
+     * @param {Object} [options]
+     * @param {string} [options.networkName] The Truffle network name. Defaults to
+     * `development`.
+     * @returns {Promise<string>} The Truffle configuration snippet.
+     */
+    exportTruffleConfig = async ({ networkName } = {}) => {
+        this.#assertNotWatchOnly('export a Truffle configuration');
+
+        await this.#ready;
+
+        const _url = this.#getNetworkConfig().type === 'ganache-core'
+            ? `http://127.0.0.1:${this.#rpcPort}`
+            : this.#provider.connection.url;
+
+        return toTruffleConfig({
+            url: _url,
+            networkName,
+            hdWallet: this.#getExportHDWallet(),
+            privateKeys: await this.getPrivateKeys(),
+        });
+    }
+
+    /**
+     * @property {Function} exportGanacheCliArgs Get the ganache-cli `--account` arguments
+     * funding the accounts with their configured balances.
+     * @returns {Promise<Array.<string>>} The `--account=<privateKey>,<wei>` arguments.
+     */
+    exportGanacheCliArgs = async () => toGanacheCliAccountArgs(await this.#getExportAccounts());
+
+    /**
+     * @property {Function} exportGanacheMnemonicArgs Get a ganache-cli command deriving the
+     * accounts from the mnemonic with `--mnemonic`, on the [chainOptions](#chainOptions)
+     * chain id. Only possible when the accounts start at index 0 of a path prefix, with an
+     * English mnemonic, without a passphrase and with one balance for every account; use
+     * [exportGanacheCliArgs](#exportGanacheCliArgs) otherwise.
+     * @returns {Promise<string>} The ganache-cli command.
+     */
+    exportGanacheMnemonicArgs = async () => {
+        this.#assertNotWatchOnly('export the mnemonic');
+
+        await this.#ready;
+
+        const _hdWallet = this.#getExportHDWallet();
+        const _balances = Array.isArray(this.#balance)
+            ? [...Array(this.#numberOfWallets).keys()].map(i => this.#getTargetBalance(i))
+            : [this.#balance];
+
+        if (!_hdWallet || _hdWallet.startIndex || _hdWallet.passphrase || new Set(_balances).size > 1) {
+            throw new Error('ganache-cli cannot derive these accounts from the mnemonic, use exportGanacheCliArgs().');
+        }
+
+        return toGanacheCliMnemonicArgs(_hdWallet, {
+            rpcPort: this.#rpcPort,
+            balance: _balances[0],
+            chainId: this.#chainOptions.chainId,
+        });
+    }
+
+    /**
+     * @property {Function} getKeyPairs Get the private/public key pairs derived from the 
+     * mnemonic. The number of key pairs returned will be set by numberOfWallets.
+     * @see getBIP44Wallet
+     * @returns {Promise.<KeyPair>} keyPairs An array of arrays of both private and public  key 
+     * pairs derived from the mnemonic using [getBIP44Wallet](#getBIP44Wallet).
+    */
+    getKeyPairs = async () => {
+        this.#assertNotWatchOnly('get private keys');
+
+        const [_wallet, _] = await this.#ready;
 
         const _keyPairs = {
             pubKeys: [],
@@ -280,3 +1869,4 @@ class Web3Wallet {
 }
 
 module.exports = Web3Wallet;
+Object.assign(module.exports, errors);
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const { utils } = require('ethers');
+
+/**
+ * Read account aliases from an object or a JSON file, e.g. `{ "deployer": 0, "treasury": 3 }`.
+ * A missing file holds no aliases yet, it is created when they are written.
+ *
+ * @param {string|Object.<string, number>} source The JSON file path or the aliases.
+ * @throws {Error} An alias looks like an index or an address, or its index is invalid.
+ * @returns {Object.<string, number>} The account indices keyed by alias.
+ */
+const readAliases = (source) => {
+    if (typeof source === 'string' && !fs.existsSync(source)) return {};
+
+    const _aliases = typeof source === 'string'
+        ? JSON.parse(fs.readFileSync(source, 'utf8'))
+        : source;
+
+    return Object.fromEntries(Object.entries(_aliases).map(([alias, index]) => {
+        if (!alias || /^\d+$/.test(alias) || utils.isAddress(alias)) {
+            throw new Error(`Invalid account alias '${alias}': it must not be empty, an index or an address.`);
+        }
+
+        if (!Number.isInteger(index) || index < 0) {
+            throw new Error(`Invalid index ${index} for account alias '${alias}'.`);
+        }
+
+        return [alias, index];
+    }));
+}
+
+/**
+ * Write account aliases to a JSON file.
+ *
+ * @param {string} file The JSON file path.
+ * @param {Object.<string, number>} aliases The account indices keyed by alias.
+ * @returns {Promise<void>}
+ */
+const writeAliases = async (file, aliases) => {
+    await fs.promises.writeFile(file, `${JSON.stringify(aliases, null, 2)}\n`);
+}
+
+module.exports = {
+    readAliases,
+    writeAliases,
+};
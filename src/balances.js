@@ -0,0 +1,134 @@
+const { BigNumber, ethers: { providers: { Web3Provider } } } = require('ethers');
+
+const { BALANCE_BATCH_SIZE } = require('./config');
+const FallbackRpcProvider = require('./FallbackRpcProvider');
+
+/**
+ * Send JSON-RPC requests in one batch through an EIP-1193 style provider such as
+ * ganache-core's.
+ *
+ * @param {Object} externalProvider The provider wrapped by a Web3Provider.
+ * @param {Array.<{method: string, params: Array}>} requests The requests.
+ * @returns {Promise<Array>} The results, index-aligned with the requests.
+ */
+const _sendExternalBatch = (externalProvider, requests) => new Promise((resolve, reject) => {
+    const _payload = requests.map(({ method, params }, id) => ({ jsonrpc: '2.0', id, method, params }));
+    const _send = (externalProvider.sendAsync || externalProvider.send).bind(externalProvider);
+
+    _send(_payload, (err, responses) => {
+        if (err) return reject(err);
+
+        const _failed = responses.find(response => response.error);
+        if (_failed) return reject(new Error(_failed.error.message));
+
+        const _byId = new Map(responses.map(response => [response.id, response.result]));
+        resolve(_payload.map(({ id }) => _byId.get(id)));
+    });
+});
+
+/**
+ * Get a function sending JSON-RPC batches through a provider.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @returns {Function|null} The batch sender, or null if the provider cannot batch.
+ */
+const _getBatchSender = (provider) => {
+    if (provider instanceof FallbackRpcProvider) return provider.sendBatch;
+
+    const _external = provider instanceof Web3Provider ? provider.provider : null;
+    if (_external && (_external.sendAsync || _external.send)) {
+        return requests => _sendExternalBatch(_external, requests);
+    }
+
+    return null;
+}
+
+/**
+ * Send JSON-RPC requests in batches, or in chunks of concurrent requests if the provider
+ * cannot batch.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Array.<{method: string, params: Array}>} requests The requests.
+ * @param {number} batchSize The number of requests per batch.
+ * @returns {Promise<Array>} The results, index-aligned with the requests.
+ */
+const _sendInBatches = async (provider, requests, batchSize) => {
+    const _sendBatch = _getBatchSender(provider)
+        || (batch => Promise.all(batch.map(({ method, params }) => provider.send(method, params))));
+
+    const _results = [];
+    for (let i = 0; i < requests.length; i += batchSize) {
+        _results.push(...await _sendBatch(requests.slice(i, i + batchSize)));
+    }
+
+    return _results;
+}
+
+/**
+ * Call a per-address method for several addresses with batched JSON-RPC requests.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {string} method The JSON-RPC method, taking the address and a block tag.
+ * @param {Array.<string>} addresses The addresses.
+ * @param {number} batchSize The number of requests per batch.
+ * @returns {Promise<Array.<BigNumber>>} The results, index-aligned with the addresses.
+ */
+const _callForAddresses = async (provider, method, addresses, batchSize) => {
+    const _results = await _sendInBatches(provider, addresses.map(address => {
+        return { method, params: [address.toLowerCase(), 'latest'] };
+    }), batchSize);
+
+    return _results.map(result => BigNumber.from(result));
+}
+
+/**
+ * Get the balances of several addresses with batched `eth_getBalance` requests, or chunks of
+ * concurrent requests if the provider cannot batch.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Array.<string>} addresses The addresses.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of requests per batch. Defaults to
+ * `BALANCE_BATCH_SIZE` in config.js.
+ * @returns {Promise<Array.<BigNumber>>} The balances in wei, index-aligned with the
+ * addresses.
+ */
+const getBalances = async (provider, addresses, { batchSize = BALANCE_BATCH_SIZE } = {}) => _callForAddresses(
+    provider, 'eth_getBalance', addresses, batchSize
+);
+
+/**
+ * Get the nonces of several addresses with batched `eth_getTransactionCount` requests.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Array.<string>} addresses The addresses.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of requests per batch.
+ * @returns {Promise<Array.<number>>} The nonces, index-aligned with the addresses.
+ */
+const getTransactionCounts = async (provider, addresses, { batchSize = BALANCE_BATCH_SIZE } = {}) => {
+    const _counts = await _callForAddresses(provider, 'eth_getTransactionCount', addresses, batchSize);
+
+    return _counts.map(count => count.toNumber());
+}
+
+/**
+ * Make several `eth_call`s with batched JSON-RPC requests, or in chunks of concurrent calls
+ * if the provider cannot batch.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Array.<{to: string, data: string}>} calls The calls.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of calls per batch. Defaults to
+ * `BALANCE_BATCH_SIZE` in config.js.
+ * @returns {Promise<Array.<string>>} The returned data, index-aligned with the calls.
+ */
+const getCallResults = async (provider, calls, { batchSize = BALANCE_BATCH_SIZE } = {}) => _sendInBatches(
+    provider, calls.map(call => ({ method: 'eth_call', params: [call, 'latest'] })), batchSize
+);
+
+module.exports = {
+    getBalances,
+    getCallResults,
+    getTransactionCounts,
+};
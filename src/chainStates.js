@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+const { CHAIN_STATES_DIR } = require('./config');
+
+/**
+ * A saved chain state.
+ *
+ * @typedef {Object} ChainStateObj
+ * @property {string} name The state name.
+ * @property {string} path The state directory.
+ * @property {Date} modified When the state was last written.
+ */
+
+/**
+ * Get the directory of a saved chain state.
+ *
+ * @param {string} nameOrPath The state name, or a directory path (anything containing a
+ * path separator).
+ * @param {string} [dir] The directory of named states. Defaults to `CHAIN_STATES_DIR` in
+ * config.js.
+ * @returns {string} The state directory.
+ */
+const getChainStatePath = (nameOrPath, dir = CHAIN_STATES_DIR) => /[\\/]/.test(nameOrPath)
+    ? nameOrPath
+    : path.join(dir, nameOrPath);
+
+/**
+ * List the named chain states.
+ *
+ * @param {string} [dir] The directory of named states.
+ * @returns {Promise<Array.<ChainStateObj>>} The states, by name.
+ */
+const listChainStates = async (dir = CHAIN_STATES_DIR) => {
+    const _entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(err => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+
+    return Promise.all(_entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .map(async (name) => {
+            const _path = path.join(dir, name);
+            const _stat = await fs.promises.stat(_path);
+
+            return { name, path: _path, modified: _stat.mtime };
+        }));
+}
+
+/**
+ * Copy a chain state, e.g. to start a run from a fixture without changing it. The state
+ * must not be in use.
+ *
+ * @param {string} from The state name or directory to copy.
+ * @param {string} to The name or directory of the copy.
+ * @param {Object} [options]
+ * @param {string} [options.dir] The directory of named states.
+ * @param {boolean} [options.overwrite] Replace an existing state. Defaults to false.
+ * @returns {Promise<string>} The directory of the copy.
+ */
+const copyChainState = async (from, to, { dir = CHAIN_STATES_DIR, overwrite = false } = {}) => {
+    const _from = getChainStatePath(from, dir);
+    const _to = getChainStatePath(to, dir);
+
+    if (!fs.existsSync(_from)) {
+        throw new Error(`No chain state at ${_from}.`);
+    }
+
+    if (fs.existsSync(_to)) {
+        if (!overwrite) throw new Error(`A chain state already exists at ${_to}.`);
+
+        await fs.promises.rm(_to, { recursive: true, force: true, maxRetries: 5 });
+    }
+
+    await fs.promises.cp(_from, _to, { recursive: true });
+
+    return _to;
+}
+
+/**
+ * Delete a chain state. The state must not be in use.
+ *
+ * @param {string} nameOrPath The state name or directory.
+ * @param {Object} [options]
+ * @param {string} [options.dir] The directory of named states.
+ * @returns {Promise<void>}
+ */
+const removeChainState = async (nameOrPath, { dir = CHAIN_STATES_DIR } = {}) => {
+    await fs.promises.rm(getChainStatePath(nameOrPath, dir), { recursive: true, force: true, maxRetries: 5 });
+}
+
+module.exports = {
+    copyChainState,
+    getChainStatePath,
+    listChainStates,
+    removeChainState,
+};
@@ -1,6 +1,41 @@
 module.exports = {
     DEFAULT_NETWORK: 'GANACHE_CORE',
+    NETWORKS: {
+        GANACHE: { type: 'jsonrpc', rpcUrls: ['http://127.0.0.1:{rpcPort}'], local: true },
+        GANACHE_CORE: { type: 'ganache-core', local: true },
+        MAINNET: { type: 'alchemy', chainId: 1, providerNetwork: 'homestead' },
+        SEPOLIA: { type: 'alchemy', chainId: 11155111 },
+        MATIC: { type: 'alchemy', chainId: 137 },
+    },
     RPC_PORT: {
         GANACHE: '8555',
+    },
+    DEFAULT_BALANCE: '100',
+    DEFAULT_DERIVATION_PATH: 'BIP44',
+    DERIVATION_PATH: {
+        BIP44: "m/44'/60'/0'/0/{index}",
+        LEDGER_LIVE: "m/44'/60'/{index}'/0/0",
+        LEGACY_MEW: "m/44'/60'/0'/{index}",
+    },
+    CHAIN_OPTIONS: {
+        chainId: 1447,
+        blockTime: 0,
+        logging: false,
+    },
+    CHAIN_STATES_DIR: '.chains',
+    RPC_FALLBACK: {
+        quorum: 1,
+        retries: 2,
+        timeout: 10000,
+        backoff: 250,
+        cooldown: 30000,
+    },
+    BALANCE_BATCH_SIZE: 500,
+    DISCOVERY_GAP_LIMIT: 20,
+    FIND_ADDRESS_MAX_INDEX: 100,
+    KEYSTORE_SCRYPT: {
+        N: 131072,
+        r: 8,
+        p: 1,
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,106 @@
+const { DERIVATION_PATH } = require('./config');
+
+/**
+ * A derivation path preset name (see `DERIVATION_PATH` in config.js), a path template
+ * containing an `{index}` placeholder, or a function returning the path for an index.
+ * 
+ * @typedef {string|function(number): string} DerivationPath
+ */
+
+const _pathPattern = /^m(\/\d+'?)+$/;
+
+/**
+ * Resolve the HD derivation path of the account at the given index.
+ * 
+ * @param {DerivationPath} derivationPath The derivation path preset, template or function.
+ * @param {number} index The (already offset) account index.
+ * @returns {string} The derivation path, e.g. `m/44'/60'/0'/0/3`.
+ */
+const resolveDerivationPath = (derivationPath, index) => {
+    let _path;
+
+    if (typeof derivationPath === 'function') {
+        _path = derivationPath(index);
+    }
+    else {
+        const _template = DERIVATION_PATH[derivationPath.toUpperCase()] || derivationPath;
+        _path = _template.replace(/\{index\}/g, index);
+    }
+
+    if (typeof _path !== 'string' || !_pathPattern.test(_path)) {
+        throw new Error(`Invalid derivation path '${_path}' for index ${index}.`);
+    }
+
+    return _path;
+}
+
+/**
+ * Get the path prefix the index is appended to, e.g. `m/44'/60'/0'/0/` for the BIP44 preset,
+ * as used by tools that only take a base path (ganache-cli `--hdPath`, HDWalletProvider).
+ * 
+ * @param {DerivationPath} derivationPath The derivation path preset, template or function.
+ * @returns {string|null} The prefix, or null if the index is not the last path level.
+ */
+const getDerivationPathPrefix = (derivationPath) => {
+    if (typeof derivationPath === 'function') return null;
+
+    const _template = DERIVATION_PATH[derivationPath.toUpperCase()] || derivationPath;
+    const _match = _template.match(/^(m(\/\d+'?)*\/)\{index\}$/);
+
+    return _match ? _match[1] : null;
+}
+
+/**
+ * Find the derivation path preset and index a path was resolved from, e.g. `LEDGER_LIVE` and
+ * 1 for `m/44'/60'/1'/0/0`. A path matching no preset is taken as a template whose last
+ * level is the index.
+ * 
+ * @param {string} path The derivation path.
+ * @returns {{derivationPath: DerivationPath, index: number}} The preset (or template) and
+ * index.
+ */
+const parseDerivationPath = (path) => {
+    if (!_pathPattern.test(path)) {
+        throw new Error(`Invalid derivation path '${path}'.`);
+    }
+
+    for (const [_preset, _template] of Object.entries(DERIVATION_PATH)) {
+        const _pattern = new RegExp(`^${_template.replace('{index}', '(\\d+)')}$`);
+        const _match = path.match(_pattern);
+
+        if (_match) return { derivationPath: _preset, index: parseInt(_match[1]) };
+    }
+
+    const [, _prefix, _index, _hardened] = path.match(/^(.*\/)(\d+)('?)$/);
+
+    return { derivationPath: `${_prefix}{index}${_hardened}`, index: parseInt(_index) };
+}
+
+/**
+ * Split a derivation path into the hardened path an extended public key is taken at and the
+ * non-hardened template of its children, e.g. `m/44'/60'/0'` and `0/{index}` for BIP44.
+ * 
+ * @param {DerivationPath} derivationPath The derivation path preset or template.
+ * @throws {Error} The path is a function, or its index is hardened or above a hardened
+ * level, so an extended public key cannot reproduce it.
+ * @returns {{basePath: string, childTemplate: string}} The extended key path and the child
+ * template.
+ */
+const splitDerivationPath = (derivationPath) => {
+    if (typeof derivationPath === 'function') {
+        throw new Error('An extended public key cannot reproduce a derivation path function.');
+    }
+
+    const _template = DERIVATION_PATH[derivationPath.toUpperCase()] || derivationPath;
+    const _levels = _template.split('/');
+    const _split = Math.max(1, _levels.map(level => level.endsWith("'")).lastIndexOf(true) + 1);
+    const _children = _levels.slice(_split);
+
+    if (_levels[0] !== 'm' || !_children.includes('{index}') || !_children.every(level => /^(\d+|\{index\})$/.test(level))) {
+        throw new Error(`An extended public key cannot reproduce the derivation path '${_template}': its index must be a non-hardened level below the hardened ones.`);
+    }
+
+    return { basePath: _levels.slice(0, _split).join('/'), childTemplate: _children.join('/') };
+}
+
+module.exports = { getDerivationPathPrefix, parseDerivationPath, resolveDerivationPath, splitDerivationPath };
@@ -0,0 +1,115 @@
+/**
+ * Object describing where a Web3WalletError happened.
+ *
+ * @typedef {Object} ErrorContextObj
+ * @property {string} [network] The Ethereum network involved.
+ * @property {string} [rpcPort] The JSON-RPC node port involved.
+ * @property {number} [index] The account index involved.
+ * @property {Error} [cause] The underlying error.
+ */
+
+/**
+ * Base class of the errors thrown or rejected by Web3Wallet.
+ */
+class Web3WalletError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {ErrorContextObj} [context] Where the error happened.
+     */
+    constructor(message, { network, rpcPort, index, cause } = {}) {
+        super(message);
+
+        this.name = this.constructor.name;
+        this.network = network;
+        this.rpcPort = rpcPort;
+        this.index = index;
+        if (cause) this.cause = cause;
+    }
+}
+
+/**
+ * The mnemonic is not a valid BIP39 phrase. The `validation` property holds the
+ * MnemonicValidationObj reporting the failure.
+ */
+class InvalidMnemonicError extends Web3WalletError {
+    /**
+     * @param {MnemonicValidationObj} validation The failed mnemonic validation.
+     * @param {ErrorContextObj} [context] Where the error happened.
+     */
+    constructor(validation, context) {
+        super(`Invalid mnemonic: ${validation.message}`, context);
+
+        this.validation = validation;
+    }
+}
+
+/**
+ * No Infura or Alchemy key is set for the network.
+ */
+class MissingApiKeyError extends Web3WalletError { }
+
+/**
+ * No ALCHEMY_<NETWORK>_KEY is set for the network.
+ */
+class MissingAlchemyKeyError extends MissingApiKeyError { }
+
+/**
+ * The JSON-RPC node cannot be reached.
+ */
+class ProviderUnreachableError extends Web3WalletError { }
+
+/**
+ * The network is not known to Web3Wallet or its provider.
+ */
+class UnsupportedNetworkError extends Web3WalletError { }
+
+/**
+ * The operation needs a local development network, e.g. GANACHE.
+ */
+class NonLocalNetworkError extends Web3WalletError { }
+
+/**
+ * The wallet was created from an extended public key and holds no private keys.
+ */
+class WatchOnlyError extends Web3WalletError { }
+
+/**
+ * The JSON-RPC node reports another chain id than the network's.
+ */
+class ChainIdMismatchError extends Web3WalletError {
+    /**
+     * @param {number} expected The network's chain id.
+     * @param {number} actual The chain id reported by the node.
+     * @param {ErrorContextObj} [context] Where the error happened.
+     */
+    constructor(expected, actual, context) {
+        super(`Expected chain id ${expected} but the node reports ${actual}.`, context);
+
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * An account could not be derived, e.g. because of an invalid derivation path.
+ */
+class DerivationError extends Web3WalletError { }
+
+/**
+ * An account balance could not be set on the node.
+ */
+class FundingError extends Web3WalletError { }
+
+module.exports = {
+    Web3WalletError,
+    InvalidMnemonicError,
+    MissingApiKeyError,
+    MissingAlchemyKeyError,
+    ProviderUnreachableError,
+    UnsupportedNetworkError,
+    NonLocalNetworkError,
+    WatchOnlyError,
+    ChainIdMismatchError,
+    DerivationError,
+    FundingError,
+};
@@ -0,0 +1,122 @@
+const { CHAIN_OPTIONS } = require('./config');
+
+/**
+ * An account to export.
+ *
+ * @typedef {Object} ExportAccountObj
+ * @property {string} [alias] The account alias.
+ * @property {string} privateKey The private key in hex form.
+ * @property {string} balance The balance in wei.
+ */
+
+/**
+ * Object describing how the accounts are derived from a mnemonic.
+ *
+ * @typedef {Object} ExportMnemonicObj
+ * @property {string} mnemonic The mnemonic.
+ * @property {string} [passphrase] The BIP39 passphrase.
+ * @property {string} pathPrefix The derivation path the index is appended to.
+ * @property {number} startIndex The index of the first account.
+ * @property {number} numberOfWallets The number of accounts.
+ */
+
+const _indent = (text, spaces) => text.split('\n').map(line => ' '.repeat(spaces) + line).join('\n');
+
+/**
+ * Build a hardhat.config.js snippet funding the accounts on the Hardhat network.
+ *
+ * @param {Array.<ExportAccountObj>} accounts The accounts.
+ * @returns {string} The `networks.hardhat` configuration.
+ */
+const toHardhatConfig = (accounts) => {
+    const _accounts = accounts
+        .map(account => `{ privateKey: ${JSON.stringify(account.privateKey)}, balance: ${JSON.stringify(account.balance)} },${account.alias ? ` // ${account.alias}` : ''}`)
+        .join('\n');
+
+    return [
+        'networks: {',
+        '    hardhat: {',
+        '        accounts: [',
+        _indent(_accounts, 12),
+        '        ],',
+        '    },',
+        '},',
+    ].join('\n');
+}
+
+/**
+ * Build a truffle-config.js snippet using @truffle/hdwallet-provider. The mnemonic is used
+ * when the accounts can be derived from a path prefix without a passphrase, otherwise the
+ * private keys are, so the passphrase is never written out.
+ *
+ * @param {Object} params
+ * @param {string} params.url The JSON-RPC node URL.
+ * @param {string} [params.networkName] The Truffle network name. Defaults to `development`.
+ * @param {ExportMnemonicObj} [params.hdWallet] How the accounts are derived.
+ * @param {Array.<string>} [params.privateKeys] The private keys, used without an hdWallet
+ * or when it has a passphrase.
+ * @returns {string} The `networks` configuration.
+ */
+const toTruffleConfig = ({ url, networkName = 'development', hdWallet, privateKeys }) => {
+    const _settings = hdWallet && !hdWallet.passphrase
+        ? [
+            `mnemonic: { phrase: ${JSON.stringify(hdWallet.mnemonic)} },`,
+            `providerOrUrl: ${JSON.stringify(url)},`,
+            `addressIndex: ${hdWallet.startIndex},`,
+            `numberOfAddresses: ${hdWallet.numberOfWallets},`,
+            `derivationPath: ${JSON.stringify(hdWallet.pathPrefix)},`,
+        ]
+        : [
+            `privateKeys: ${JSON.stringify(privateKeys)},`,
+            `providerOrUrl: ${JSON.stringify(url)},`,
+        ];
+
+    return [
+        `// const HDWalletProvider = require('@truffle/hdwallet-provider');`,
+        'networks: {',
+        `    ${networkName}: {`,
+        '        provider: () => new HDWalletProvider({',
+        _indent(_settings.join('\n'), 12),
+        '        }),',
+        `        network_id: '*',`,
+        '    },',
+        '},',
+    ].join('\n');
+}
+
+/**
+ * Build the ganache-cli `--account` arguments for the accounts.
+ *
+ * @param {Array.<ExportAccountObj>} accounts The accounts.
+ * @returns {Array.<string>} The `--account=<privateKey>,<balance>` arguments.
+ */
+const toGanacheCliAccountArgs = (accounts) => accounts
+    .map(account => `--account=${account.privateKey},${account.balance}`);
+
+/**
+ * Build a ganache-cli command deriving the accounts from the mnemonic.
+ *
+ * @param {ExportMnemonicObj} hdWallet How the accounts are derived. ganache-cli derives from
+ * index 0 without a passphrase.
+ * @param {Object} params
+ * @param {string} params.rpcPort The JSON-RPC node port.
+ * @param {string} params.balance The balance of every account in ETH.
+ * @param {number} [params.chainId] The chain id. Defaults to the GANACHE_CORE one.
+ * @returns {string} The ganache-cli command.
+ */
+const toGanacheCliMnemonicArgs = (hdWallet, { rpcPort, balance, chainId = CHAIN_OPTIONS.chainId }) => [
+    'ganache-cli',
+    `-p ${rpcPort}`,
+    `--chainId ${chainId}`,
+    `--mnemonic ${JSON.stringify(hdWallet.mnemonic)}`,
+    `--hdPath ${JSON.stringify(hdWallet.pathPrefix)}`,
+    `-a ${hdWallet.numberOfWallets}`,
+    `-e ${balance}`,
+].join(' ');
+
+module.exports = {
+    toGanacheCliAccountArgs,
+    toGanacheCliMnemonicArgs,
+    toHardhatConfig,
+    toTruffleConfig,
+};
@@ -0,0 +1,152 @@
+/**
+ * The key pair columns, in output order.
+ */
+const COLUMNS = ['index', 'alias', 'address', 'balance', 'tokens', 'path', 'publicKey', 'privateKey'];
+
+const DEFAULT_COLUMNS = ['index', 'address', 'balance', 'privateKey'];
+
+const FORMATS = ['table', 'json', 'csv', 'env'];
+
+/**
+ * A row of key pair output.
+ *
+ * @typedef {Object} KeyPairRowObj
+ * @property {number} index The account index.
+ * @property {string} [alias] The account alias.
+ * @property {string} address The account address.
+ * @property {string} balance The balance in ETH.
+ * @property {string} [tokens] The token balances, e.g. `12.5 DAI, 3 USDC`. Empty if none
+ * were loaded.
+ * @property {string} [path] The derivation path.
+ * @property {string} publicKey The uncompressed public key in hex form.
+ * @property {string} [privateKey] The private key in hex form.
+ */
+
+/**
+ * Object containing key pair output options.
+ *
+ * @typedef {Object} FormatOptionsObj
+ * @property {string} [format] The output format: `table` (Ganache style), `json`, `csv` or
+ * `env`. Defaults to `table`.
+ * @property {Array.<string>} [columns] The columns to output: `index`, `alias`,
+ * `address`, `balance`, `tokens`, `path`, `publicKey` and/or `privateKey`. Defaults to index,
+ * address, balance and private key.
+ * @property {boolean} [maskSecrets] Truncate the private keys, e.g. `0xb96e…8b18`.
+ */
+
+const _envNames = {
+    alias: 'ALIAS',
+    address: 'ADDRESS',
+    balance: 'BALANCE',
+    tokens: 'TOKENS',
+    path: 'DERIVATION_PATH',
+    publicKey: 'PUBLIC_KEY',
+    privateKey: 'PRIVATE_KEY',
+};
+
+const maskSecret = (secret) => secret ? `${secret.substring(0, 6)}…${secret.substring(secret.length - 4)}` : secret;
+
+const _csvValue = (value) => {
+    const _value = value === undefined || value === null ? '' : value.toString();
+
+    return /[",\n]/.test(_value) ? `"${_value.replace(/"/g, '""')}"` : _value;
+}
+
+const _envValue = (value) => {
+    const _value = value === undefined || value === null ? '' : value.toString();
+
+    return /^[\w.:\/-]*$/.test(_value) ? _value : `"${_value.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+const _formatTable = (rows, columns) => {
+    const _lines = ['Available Accounts', '=================='];
+
+    rows.forEach(row => {
+        const _fields = [];
+        if (columns.includes('index')) _fields.push(`(${row.index})`);
+        if (columns.includes('alias') && row.alias) _fields.push(row.alias);
+        if (columns.includes('address')) _fields.push(row.address);
+        if (columns.includes('balance')) _fields.push(`(${row.balance} ETH)`);
+        if (columns.includes('tokens') && row.tokens) _fields.push(`[${row.tokens}]`);
+        if (columns.includes('path')) _fields.push(row.path);
+        if (columns.includes('publicKey')) _fields.push(row.publicKey);
+        _lines.push(_fields.join(' '));
+    });
+
+    if (columns.includes('privateKey')) {
+        _lines.push('', 'Private Keys', '==================');
+        rows.forEach(row => {
+            const _fields = [];
+            if (columns.includes('index')) _fields.push(`(${row.index})`);
+            if (columns.includes('alias') && row.alias) _fields.push(row.alias);
+            _lines.push([..._fields, row.privateKey].join(' '));
+        });
+    }
+
+    _lines.push('');
+
+    return _lines.join('\n');
+}
+
+const _formatJson = (rows, columns) => JSON.stringify(
+    rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]]))),
+    null,
+    2
+);
+
+const _formatCsv = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => _csvValue(row[column])).join(',')),
+].join('\n');
+
+const _formatEnv = (rows, columns) => rows
+    .flatMap(row => columns
+        .filter(column => column !== 'index')
+        .map(column => `${_envNames[column]}_${row.index}=${_envValue(row[column])}`))
+    .join('\n');
+
+/**
+ * Format key pair rows.
+ *
+ * @param {Array.<KeyPairRowObj>} rows The key pair rows.
+ * @param {FormatOptionsObj} [options] The output options.
+ * @returns {string} The formatted key pairs.
+ */
+const formatKeyPairs = (rows, { format = 'table', columns = DEFAULT_COLUMNS, maskSecrets = false } = {}) => {
+    const _format = format.toLowerCase();
+    if (!FORMATS.includes(_format)) {
+        throw new Error(`Unknown format '${format}'. Expected one of: ${FORMATS.join(', ')}.`);
+    }
+
+    const _unknown = columns.filter(column => !COLUMNS.includes(column));
+    if (_unknown.length) {
+        throw new Error(`Unknown column(s) ${_unknown.join(', ')}. Expected any of: ${COLUMNS.join(', ')}.`);
+    }
+
+    const _columns = COLUMNS.filter(column => columns.includes(column));
+    // The tokens column is empty when no token balances were loaded.
+    const _rows = rows.map(row => ({
+        ...row,
+        tokens: row.tokens ?? '',
+        privateKey: maskSecrets ? maskSecret(row.privateKey) : row.privateKey,
+    }));
+
+    switch (_format) {
+        case ('json'):
+            return _formatJson(_rows, _columns);
+        case ('csv'):
+            return _formatCsv(_rows, _columns);
+        case ('env'):
+            return _formatEnv(_rows, _columns);
+        default:
+            return _formatTable(_rows, _columns);
+    }
+}
+
+module.exports = {
+    COLUMNS,
+    DEFAULT_COLUMNS,
+    FORMATS,
+    formatKeyPairs,
+    maskSecret,
+};
@@ -0,0 +1,256 @@
+const { BigNumber, utils } = require('ethers');
+
+const { getBalances } = require('./balances');
+
+/**
+ * The JSON-RPC methods local nodes use to set an account balance, in the order they are
+ * tried.
+ */
+const SET_BALANCE_METHODS = ['evm_setAccountBalance', 'hardhat_setBalance', 'anvil_setBalance'];
+
+const TRANSFER_GAS_LIMIT = 21000;
+
+// The set-balance method each provider supports, or null if it has none.
+const _setBalanceMethods = new WeakMap();
+
+/**
+ * Whether a JSON-RPC error means the node does not have the method.
+ *
+ * @param {Error} err The error.
+ * @returns {boolean} Whether the method is not supported.
+ */
+const isMethodNotSupported = (err) => {
+    const _error = err.error || err;
+
+    return _error.code === -32601
+        || /method .*(not supported|not found|does not exist|not available)|unknown method/i.test(_error.message || err.message);
+}
+
+/**
+ * Set an account balance with a node method such as `evm_setAccountBalance`. The method the
+ * node supports, or its lack of one, is remembered per provider.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {string} address The account address.
+ * @param {BigNumber} balance The target balance in wei.
+ * @returns {Promise<boolean>} Whether the node supports setting balances.
+ */
+const setBalanceByRpc = async (provider, address, balance) => {
+    const _known = _setBalanceMethods.get(provider);
+    if (_known === null) return false;
+
+    for (const _method of _known ? [_known] : SET_BALANCE_METHODS) {
+        try {
+            await provider.send(_method, [address, utils.hexValue(balance)]);
+            _setBalanceMethods.set(provider, _method);
+
+            return true;
+        }
+        catch (err) {
+            if (!isMethodNotSupported(err)) throw err;
+        }
+    }
+
+    _setBalanceMethods.set(provider, null);
+
+    return false;
+}
+
+/**
+ * Get the unlocked node account with the largest balance, ignoring the given addresses.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {Array.<string>} excluded The addresses not to fund from, e.g. the derived ones.
+ * @returns {Promise<{address: string, balance: BigNumber}|null>} The funding account, or null.
+ */
+const getFundingAccount = async (provider, excluded = []) => {
+    const _excluded = excluded.map(address => address.toLowerCase());
+    const _accounts = (await provider.listAccounts())
+        .filter(address => !_excluded.includes(address.toLowerCase()));
+
+    let _funder = null;
+    for (const _address of _accounts) {
+        const _balance = await provider.getBalance(_address);
+        if (!_funder || _balance.gt(_funder.balance)) _funder = { address: _address, balance: _balance };
+    }
+
+    return _funder;
+}
+
+/**
+ * A derived account funding or funded by another one.
+ *
+ * @typedef {Object} FundingPeerObj
+ * @property {Wallet} wallet The account, connected to the provider.
+ * @property {BigNumber} balance The target balance in wei.
+ * @property {BigNumber} [current] The current balance in wei, if known. Kept up to date by
+ * the transfers from and to the account.
+ */
+
+/**
+ * Get how far the other derived accounts are above (or below, when negative) their target
+ * balances. Only the current balances not yet known are read.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {Array.<FundingPeerObj>} peers The accounts.
+ * @returns {Promise<Array.<{peer: FundingPeerObj, surplus: BigNumber}>>} The accounts and
+ * their surplus in wei.
+ */
+const _getSurpluses = async (provider, peers) => {
+    const _unknown = peers.filter(_peer => !_peer.current);
+    const _balances = await getBalances(provider, _unknown.map(_peer => _peer.wallet.address));
+    _unknown.forEach((_peer, i) => { _peer.current = _balances[i]; });
+
+    return peers.map(_peer => ({ peer: _peer, surplus: _peer.current.sub(_peer.balance) }));
+}
+
+const _credit = (peers, address, value) => {
+    const _peer = peers.find(peer => peer.wallet.address === address);
+    if (_peer?.current) _peer.current = _peer.current.add(value);
+}
+
+/**
+ * Set an account balance by transferring the difference from (or to) an unlocked node
+ * account, or from (or to) the other derived accounts when the node has none to spare, e.g.
+ * on `ganache-cli --mnemonic` where the unlocked accounts are the derived ones. Transfers
+ * from derived accounts use a fixed gas price so the sender's balance drops by a known fee.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {Wallet} wallet The account, connected to the provider.
+ * @param {BigNumber} balance The target balance in wei.
+ * @param {Array.<FundingPeerObj>} [peers] The other derived accounts. They are not funded
+ * from as node accounts, only out of their surplus.
+ * @param {string} [excessTo] The address taking the excess no other account takes, instead
+ * of failing.
+ * @returns {Promise<void>}
+ */
+const setBalanceByTransfer = async (provider, wallet, balance, peers = [], excessTo) => {
+    const _current = await provider.getBalance(wallet.address);
+    if (_current.eq(balance)) return;
+
+    const _funder = await getFundingAccount(provider, [wallet.address, ...peers.map(peer => peer.wallet.address)]);
+    const _gasPrice = await provider.getGasPrice();
+    const _fee = _gasPrice.mul(TRANSFER_GAS_LIMIT);
+    const _transfer = async (from, to, value) => {
+        const _tx = await from.sendTransaction({ to, value, gasPrice: _gasPrice, gasLimit: TRANSFER_GAS_LIMIT });
+        await _tx.wait();
+
+        _credit(peers, from.address, value.add(_fee).mul(-1));
+        _credit(peers, to, value);
+    }
+
+    if (_current.lt(balance)) {
+        const _value = balance.sub(_current);
+
+        if (_funder && _funder.balance.gte(_value.add(_fee))) {
+            const _tx = await provider.getSigner(_funder.address).sendTransaction({ to: wallet.address, value: _value });
+            await _tx.wait();
+            return;
+        }
+
+        const _donor = (await _getSurpluses(provider, peers))
+            .find(peer => peer.surplus.gte(_value.add(_fee)));
+
+        if (!_donor) {
+            throw new Error(`No unlocked node account or other account can fund ${utils.formatEther(_value)} ETH to ${wallet.address}.`);
+        }
+
+        await _transfer(_donor.peer.wallet, wallet.address, _value);
+        return;
+    }
+
+    let _excess = _current.sub(balance);
+
+    if (_excess.lte(_fee)) {
+        throw new Error(`Cannot lower the balance of ${wallet.address} by less than the transfer fee.`);
+    }
+
+    if (_funder) {
+        await _transfer(wallet, _funder.address, _excess.sub(_fee));
+        return;
+    }
+
+    // Hand the excess to the accounts furthest below their target, never more than they lack.
+    const _recipients = (await _getSurpluses(provider, peers))
+        .filter(peer => peer.surplus.lt(0))
+        .sort((a, b) => a.surplus.lt(b.surplus) ? -1 : 1);
+
+    for (const _recipient of _recipients) {
+        if (_excess.lte(_fee)) break;
+
+        const _missing = _recipient.surplus.mul(-1);
+        const _value = _excess.sub(_fee).lt(_missing) ? _excess.sub(_fee) : _missing;
+
+        await _transfer(wallet, _recipient.peer.wallet.address, _value);
+        _excess = _excess.sub(_value).sub(_fee);
+    }
+
+    if (excessTo && _excess.gt(_fee)) {
+        await _transfer(wallet, excessTo, _excess.sub(_fee));
+        return;
+    }
+
+    if (!_excess.isZero()) {
+        throw new Error(`No unlocked node account or account below its balance can take the ${utils.formatEther(_excess)} ETH excess of ${wallet.address}.`);
+    }
+}
+
+/**
+ * Top an account up (or down) to a target balance, with a node method when available and
+ * by transfers from the node's unlocked accounts otherwise.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {Wallet} wallet The account, connected to the provider.
+ * @param {BigNumber|string} balance The target balance in wei.
+ * @param {Array.<FundingPeerObj>} [peers] The other derived accounts, funded from (or to)
+ * out of their surplus only.
+ * @param {string} [excessTo] The address taking the excess no other account takes.
+ * @returns {Promise<void>}
+ */
+const fundAccount = async (provider, wallet, balance, peers = [], excessTo) => {
+    const _balance = BigNumber.from(balance);
+
+    if (await setBalanceByRpc(provider, wallet.address, _balance)) return;
+
+    await setBalanceByTransfer(provider, wallet, _balance, peers, excessTo);
+}
+
+/**
+ * Top several accounts up (or down) to their target balances in turn, carrying on past the
+ * ones that cannot be funded. The balances are read once and tracked across the transfers
+ * between the accounts.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {Array.<FundingPeerObj>} accounts The accounts and their target balances.
+ * @returns {Promise<Array.<Error|null>>} The error of every account whose balance could not
+ * be set, index-aligned with the accounts.
+ */
+const fundAccounts = async (provider, accounts) => {
+    const _accounts = accounts.map(({ wallet, balance }) => ({ wallet, balance: BigNumber.from(balance) }));
+    const _errors = [];
+
+    for (const _account of _accounts) {
+        try {
+            await fundAccount(provider, _account.wallet, _account.balance, _accounts.filter(_peer => _peer !== _account));
+            _account.current = _account.balance;
+            _errors.push(null);
+        }
+        catch (err) {
+            // Read the balance again if it is needed, the failure may have left it anywhere.
+            delete _account.current;
+            _errors.push(err);
+        }
+    }
+
+    return _errors;
+}
+
+module.exports = {
+    SET_BALANCE_METHODS,
+    fundAccount,
+    fundAccounts,
+    getFundingAccount,
+    isMethodNotSupported,
+    setBalanceByRpc,
+    setBalanceByTransfer,
+};
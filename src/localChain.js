@@ -0,0 +1,131 @@
+const { isMethodNotSupported } = require('./funding');
+
+/**
+ * The JSON-RPC methods local nodes use to set the next block timestamp, in the order they
+ * are tried. `evm_setTime` (ganache-core) sets the node clock instead.
+ */
+const SET_TIMESTAMP_METHODS = ['evm_setNextBlockTimestamp', 'evm_setTime'];
+
+/**
+ * The JSON-RPC methods local nodes use to send as an address without its key, in the order
+ * they are tried.
+ */
+const IMPERSONATE_METHODS = ['evm_unlockUnknownAccount', 'hardhat_impersonateAccount', 'anvil_impersonateAccount'];
+
+const STOP_IMPERSONATING_METHODS = ['evm_lockUnknownAccount', 'hardhat_stopImpersonatingAccount', 'anvil_stopImpersonatingAccount'];
+
+/**
+ * Send a request with the first method the node supports.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {Array.<string>} methods The equivalent methods, in the order to try them.
+ * @param {Function} getParams Get the params of a method.
+ * @param {string} action What the methods do, for the error message.
+ * @returns {Promise<any>} The result.
+ */
+const _sendFirstSupported = async (provider, methods, getParams, action) => {
+    for (const _method of methods) {
+        try {
+            return await provider.send(_method, getParams(_method));
+        }
+        catch (err) {
+            if (!isMethodNotSupported(err)) throw err;
+        }
+    }
+
+    throw new Error(`The node cannot ${action}.`);
+}
+
+/**
+ * Snapshot the chain state.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @returns {Promise<string>} The snapshot id.
+ */
+const snapshot = async (provider) => provider.send('evm_snapshot', []);
+
+/**
+ * Revert the chain to a snapshot. The snapshot and every later one are discarded.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {string} id The snapshot id.
+ * @returns {Promise<boolean>} Whether the snapshot existed.
+ */
+const revert = async (provider, id) => provider.send('evm_revert', [id]);
+
+/**
+ * Move the chain clock forward.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {number} seconds The number of seconds.
+ * @returns {Promise<number>} The total time adjustment in seconds.
+ */
+const increaseTime = async (provider, seconds) => Number(await provider.send('evm_increaseTime', [seconds]));
+
+/**
+ * Mine blocks.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {number} blocks The number of blocks.
+ * @returns {Promise<number>} The new block number.
+ */
+const mine = async (provider, blocks) => {
+    for (let i = 0; i < blocks; i++) {
+        await provider.send('evm_mine', []);
+    }
+
+    return Number(await provider.send('eth_blockNumber', []));
+}
+
+/**
+ * Set the timestamp of the next block.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {number} timestamp The timestamp in seconds.
+ * @returns {Promise<void>}
+ */
+const setNextBlockTimestamp = async (provider, timestamp) => {
+    await _sendFirstSupported(
+        provider,
+        SET_TIMESTAMP_METHODS,
+        method => [method === 'evm_setTime' ? timestamp * 1000 : timestamp],
+        'set the next block timestamp'
+    );
+}
+
+/**
+ * Let the node send transactions from an address without its key.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {string} address The address.
+ * @returns {Promise<JsonRpcSigner>} A signer sending as the address through the node.
+ */
+const impersonate = async (provider, address) => {
+    await _sendFirstSupported(provider, IMPERSONATE_METHODS, () => [address], 'impersonate accounts');
+
+    return provider.getSigner(address);
+}
+
+/**
+ * Stop impersonating an address.
+ *
+ * @param {JsonRpcProvider|Web3Provider} provider The JSON-RPC node provider.
+ * @param {string} address The address.
+ * @returns {Promise<void>}
+ */
+const stopImpersonating = async (provider, address) => {
+    await _sendFirstSupported(provider, STOP_IMPERSONATING_METHODS, () => [address], 'stop impersonating accounts');
+}
+
+module.exports = {
+    IMPERSONATE_METHODS,
+    SET_TIMESTAMP_METHODS,
+    STOP_IMPERSONATING_METHODS,
+    impersonate,
+    increaseTime,
+    mine,
+    revert,
+    setNextBlockTimestamp,
+    snapshot,
+    stopImpersonating,
+};
@@ -0,0 +1,196 @@
+const { utils, wordlists } = require('ethers');
+
+/**
+ * The BIP39 wordlist locales, e.g. `en`, `es`, `ja` or `zh_tw`.
+ */
+const LOCALES = Object.keys(wordlists).filter(_locale => _locale !== 'zh');
+
+const VALID_STRENGTHS = [128, 160, 192, 224, 256];
+const VALID_WORD_COUNTS = VALID_STRENGTHS.map(_strength => (_strength + _strength / 32) / 11);
+
+/**
+ * The result of a mnemonic validation.
+ *
+ * @typedef {Object} MnemonicValidationObj
+ * @property {boolean} valid Whether the mnemonic is a valid BIP39 phrase.
+ * @property {string} [locale] The wordlist locale the mnemonic was checked against.
+ * @property {string} [reason] The failure: `INVALID_WORD_COUNT`, `UNKNOWN_WORD` or
+ * `INVALID_CHECKSUM`.
+ * @property {string} [message] A description of the failure.
+ * @property {string} [word] The unknown word.
+ * @property {number} [position] The position (0-based) of the unknown word.
+ * @property {Array.<string>} [suggestions] The closest wordlist words to the unknown word.
+ */
+
+const _splitWords = (mnemonic) => (mnemonic || '').trim().split(/\s+/).filter(_word => _word);
+
+const _getWords = (wordlist) => {
+    const _words = [];
+    for (let i = 0; i < 2048; i++) _words.push(wordlist.getWord(i));
+
+    return _words;
+}
+
+const _isWord = (wordlist, word) => wordlist.getWordIndex(word.normalize('NFKD')) >= 0
+    || wordlist.getWordIndex(word) >= 0;
+
+/**
+ * Levenshtein distance between two words.
+ *
+ * @param {string} a The first word.
+ * @param {string} b The second word.
+ * @returns {number} The number of single character edits between the words.
+ */
+const _distance = (a, b) => {
+    let _previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const _current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            _current[j] = Math.min(
+                _previous[j] + 1,
+                _current[j - 1] + 1,
+                _previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        _previous = _current;
+    }
+
+    return _previous[b.length];
+}
+
+/**
+ * Get the wordlist words closest to an unknown word.
+ *
+ * @param {string} word The unknown word.
+ * @param {string} locale The wordlist locale.
+ * @param {number} [limit] The maximum number of suggestions.
+ * @returns {Array.<string>} The suggested words, closest first.
+ */
+const suggestWords = (word, locale, limit = 5) => {
+    const _word = word.toLowerCase();
+
+    return _getWords(wordlists[locale])
+        .map(_candidate => {
+            // BIP39 words are unique by their first four letters.
+            const _prefixMatch = _word.length >= 4 && _candidate.startsWith(_word.substring(0, 4));
+            return { word: _candidate, distance: _prefixMatch ? 0 : _distance(_word, _candidate) };
+        })
+        .filter(_candidate => _candidate.distance <= 2)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(_candidate => _candidate.word);
+}
+
+/**
+ * Detect the wordlist locale of a mnemonic, preferring a wordlist that also passes the
+ * checksum.
+ *
+ * @param {string} mnemonic The mnemonic.
+ * @returns {string} The locale with the most known words. Defaults to `en`.
+ */
+const detectLocale = (mnemonic) => {
+    const _words = _splitWords(mnemonic);
+    const _phrase = _words.join(' ');
+
+    const _matches = LOCALES.map(_locale => {
+        return {
+            locale: _locale,
+            known: _words.filter(_word => _isWord(wordlists[_locale], _word)).length,
+        }
+    });
+
+    const _complete = _matches.filter(_match => _words.length && _match.known === _words.length);
+    const _checksummed = _complete.find(_match => utils.isValidMnemonic(_phrase, wordlists[_match.locale]));
+    if (_checksummed) return _checksummed.locale;
+    if (_complete.length) return _complete[0].locale;
+
+    const _best = _matches.reduce((best, _match) => _match.known > best.known ? _match : best);
+    return _best.known ? _best.locale : 'en';
+}
+
+/**
+ * Validate a BIP39 mnemonic and report the exact failure.
+ *
+ * @param {string} mnemonic The mnemonic.
+ * @param {Object} [options]
+ * @param {string} [options.locale] The wordlist locale. Detected from the mnemonic if not
+ * set.
+ * @returns {MnemonicValidationObj} The validation result.
+ */
+const validateMnemonic = (mnemonic, { locale } = {}) => {
+    const _locale = locale ? locale.toLowerCase() : detectLocale(mnemonic);
+    const _wordlist = wordlists[_locale];
+
+    if (!_wordlist) {
+        throw new Error(`Unknown wordlist locale '${locale}'. Expected one of: ${LOCALES.join(', ')}.`);
+    }
+
+    const _words = _splitWords(mnemonic);
+
+    if (!VALID_WORD_COUNTS.includes(_words.length)) {
+        return {
+            valid: false,
+            locale: _locale,
+            reason: 'INVALID_WORD_COUNT',
+            message: `Mnemonic has ${_words.length} words, expected ${VALID_WORD_COUNTS.join(', ')}.`,
+        };
+    }
+
+    const _position = _words.findIndex(_word => !_isWord(_wordlist, _word));
+    if (_position >= 0) {
+        const _suggestions = suggestWords(_words[_position], _locale);
+
+        return {
+            valid: false,
+            locale: _locale,
+            reason: 'UNKNOWN_WORD',
+            message: `Unknown word '${_words[_position]}' at position ${_position}.`
+                + (_suggestions.length ? ` Did you mean: ${_suggestions.join(', ')}?` : ''),
+            word: _words[_position],
+            position: _position,
+            suggestions: _suggestions,
+        };
+    }
+
+    if (!utils.isValidMnemonic(_words.join(' '), _wordlist)) {
+        return {
+            valid: false,
+            locale: _locale,
+            reason: 'INVALID_CHECKSUM',
+            message: 'Mnemonic checksum is invalid.',
+        };
+    }
+
+    return { valid: true, locale: _locale };
+}
+
+/**
+ * Generate a random BIP39 mnemonic.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.strength] The entropy in bits: 128 (12 words), 160, 192, 224 or
+ * 256 (24 words).
+ * @param {string} [options.locale] The wordlist locale.
+ * @returns {string} The mnemonic.
+ */
+const generateMnemonic = ({ strength = 128, locale = 'en' } = {}) => {
+    if (!VALID_STRENGTHS.includes(strength)) {
+        throw new Error(`Invalid mnemonic strength ${strength}. Expected one of: ${VALID_STRENGTHS.join(', ')}.`);
+    }
+
+    const _wordlist = wordlists[locale.toLowerCase()];
+    if (!_wordlist) {
+        throw new Error(`Unknown wordlist locale '${locale}'. Expected one of: ${LOCALES.join(', ')}.`);
+    }
+
+    return utils.entropyToMnemonic(utils.randomBytes(strength / 8), _wordlist);
+}
+
+module.exports = {
+    LOCALES,
+    detectLocale,
+    generateMnemonic,
+    suggestWords,
+    validateMnemonic,
+};
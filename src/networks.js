@@ -0,0 +1,218 @@
+const fs = require('fs');
+const { ethers: {
+    providers: {
+        AlchemyProvider,
+        InfuraProvider,
+        IpcProvider,
+        WebSocketProvider
+    }
+} } = require('ethers');
+
+const { NETWORKS } = require('./config');
+const FallbackRpcProvider = require('./FallbackRpcProvider');
+const { MissingAlchemyKeyError, MissingApiKeyError, UnsupportedNetworkError } = require('./errors');
+
+/**
+ * The provider types a network can use.
+ */
+const PROVIDER_TYPES = ['jsonrpc', 'websocket', 'infura', 'alchemy', 'ipc', 'ganache-core'];
+
+/**
+ * A network registry entry.
+ *
+ * @typedef {Object} NetworkConfigObj
+ * @property {string} type The provider type: `jsonrpc`, `websocket`, `infura`, `alchemy`,
+ * `ipc` or `ganache-core`.
+ * @property {number} [chainId] The chain id the node must report on connect. Not checked if
+ * not set.
+ * @property {Array.<string|RpcEndpointObj>} [rpcUrls] The node URL(s) for `jsonrpc` and
+ * `websocket`, or the socket path for `ipc`. `{rpcPort}` and `{apiKey}` are replaced.
+ * Several `jsonrpc` URLs are used as fallbacks, by priority.
+ * @property {number} [quorum] The number of `jsonrpc` endpoints that must agree on read-only
+ * calls.
+ * @property {number} [retries] The number of retries per `jsonrpc` endpoint.
+ * @property {number} [timeout] The per-request timeout in ms of `jsonrpc` endpoints.
+ * @property {number} [backoff] The delay in ms before the first retry, doubled on every
+ * retry.
+ * @property {number} [cooldown] How long in ms a failing `jsonrpc` endpoint is tried after
+ * the healthy ones.
+ * @property {string} [providerNetwork] The network name Infura or Alchemy know it by.
+ * Defaults to the lower-cased registry name.
+ * @property {string} [apiKey] The Infura or Alchemy key. Defaults to the
+ * `<TYPE>_<NAME>_KEY` environment variable (then `INFURA_API_KEY` for Infura).
+ * @property {boolean} [local] Whether the network is a local development chain.
+ */
+
+const _registry = {};
+
+const _validateNetwork = (name, config) => {
+    if (!config || !PROVIDER_TYPES.includes(config.type)) {
+        throw new Error(`Network '${name}' needs a type, one of: ${PROVIDER_TYPES.join(', ')}.`);
+    }
+
+    if (['jsonrpc', 'websocket', 'ipc'].includes(config.type) && !config.rpcUrls?.length) {
+        throw new Error(`Network '${name}' of type ${config.type} needs rpcUrls.`);
+    }
+}
+
+/**
+ * Add or replace a network in the registry.
+ *
+ * @param {string} name The network name, e.g. `GNOSIS`. Names are case-insensitive.
+ * @param {NetworkConfigObj} config The network configuration.
+ * @throws {Error} The configuration has no known type, or no rpcUrls for its type.
+ * @returns void
+ */
+const registerNetwork = (name, config) => {
+    _validateNetwork(name, config);
+
+    _registry[name.toUpperCase()] = { ...config };
+}
+
+/**
+ * Read network configurations from an object or a JSON file keyed by network name.
+ *
+ * @param {string|Object.<string, NetworkConfigObj>} source The JSON file path or the
+ * configurations.
+ * @throws {Error} A configuration has no known type, or no rpcUrls for its type.
+ * @returns {Object.<string, NetworkConfigObj>} The configurations keyed by upper-cased name.
+ */
+const readNetworks = (source) => {
+    const _networks = typeof source === 'string'
+        ? JSON.parse(fs.readFileSync(source, 'utf8'))
+        : source;
+
+    return Object.fromEntries(Object.entries(_networks).map(([name, config]) => {
+        _validateNetwork(name, config);
+
+        return [name.toUpperCase(), { ...config }];
+    }));
+}
+
+/**
+ * Add the networks of an object or JSON file to the registry.
+ *
+ * @param {string|Object.<string, NetworkConfigObj>} source The JSON file path or the
+ * configurations.
+ * @returns void
+ */
+const loadNetworks = (source) => {
+    Object.entries(readNetworks(source)).forEach(([name, config]) => registerNetwork(name, config));
+}
+
+/**
+ * Get the registered network names.
+ *
+ * @returns {Array.<string>} The network names.
+ */
+const getNetworkNames = () => Object.keys(_registry);
+
+/**
+ * Get a network's configuration.
+ *
+ * @param {string} name The network name.
+ * @param {Object.<string, NetworkConfigObj>} [networks] Extra networks, taking precedence
+ * over the registry.
+ * @param {ErrorContextObj} [context] The context of a thrown error.
+ * @throws {UnsupportedNetworkError} The network is not registered.
+ * @returns {NetworkConfigObj} The network configuration.
+ */
+const getNetworkConfig = (name, networks = {}, context = {}) => {
+    const _name = name.toUpperCase();
+    const _config = networks[_name] || _registry[_name];
+
+    if (!_config) {
+        throw new UnsupportedNetworkError(
+            `Unsupported network '${name}'. Known networks: ${[...new Set([...Object.keys(networks), ...getNetworkNames()])].join(', ')}.`,
+            context
+        );
+    }
+
+    return { name: _name, ..._config };
+}
+
+/**
+ * Get the Infura or Alchemy key of a network.
+ *
+ * @param {NetworkConfigObj} config The network configuration.
+ * @returns {string|undefined} The key.
+ */
+const getApiKey = (config) => {
+    if (config.apiKey) return config.apiKey;
+
+    const _key = process.env[`${config.type.toUpperCase()}_${config.name}_KEY`];
+    return _key || (config.type === 'infura' ? process.env.INFURA_API_KEY : undefined);
+}
+
+const _fillUrl = (url, { rpcPort, apiKey }) => url
+    .replace(/\{rpcPort\}/g, rpcPort)
+    .replace(/\{apiKey\}/g, apiKey);
+
+const _fillEndpoint = (endpoint, values) => typeof endpoint === 'string'
+    ? _fillUrl(endpoint, values)
+    : { ...endpoint, url: _fillUrl(endpoint.url, values) };
+
+/**
+ * Create the provider of a network. `ganache-core` networks are created by Web3Wallet.
+ *
+ * @param {NetworkConfigObj} config The network configuration.
+ * @param {Object} [options]
+ * @param {string} [options.rpcPort] The port replacing `{rpcPort}` in the URLs.
+ * @param {ErrorContextObj} [context] The context of a thrown error.
+ * @throws {MissingApiKeyError} No Infura or Alchemy key is set.
+ * @throws {UnsupportedNetworkError} Infura or Alchemy does not support the network.
+ * @returns {FallbackRpcProvider|WebSocketProvider|IpcProvider} The provider.
+ */
+const createProvider = (config, { rpcPort } = {}, context = {}) => {
+    const _apiKey = getApiKey(config);
+    const _endpoints = (config.rpcUrls || []).map(endpoint => _fillEndpoint(endpoint, { rpcPort, apiKey: _apiKey }));
+    const _url = _endpoints.length ? _endpoints[0].url || _endpoints[0] : '';
+
+    switch (config.type) {
+        case ('jsonrpc'):
+            return new FallbackRpcProvider(_endpoints, {
+                quorum: config.quorum,
+                retries: config.retries,
+                timeout: config.timeout,
+                backoff: config.backoff,
+                cooldown: config.cooldown,
+                chainId: config.chainId,
+            });
+        case ('websocket'):
+            return new WebSocketProvider(_url);
+        case ('ipc'):
+            return new IpcProvider(_url);
+        case ('infura'):
+        case ('alchemy'):
+            if (!_apiKey) {
+                const _ErrorClass = config.type === 'alchemy' ? MissingAlchemyKeyError : MissingApiKeyError;
+                throw new _ErrorClass(`${config.type.toUpperCase()}_${config.name}_KEY is not set.`, context);
+            }
+
+            try {
+                const _ProviderClass = config.type === 'alchemy' ? AlchemyProvider : InfuraProvider;
+                return new _ProviderClass(config.providerNetwork || config.name.toLowerCase(), _apiKey);
+            }
+            catch (err) {
+                throw new UnsupportedNetworkError(
+                    `${config.type} does not support the ${config.name} network.`, { ...context, cause: err }
+                );
+            }
+        default:
+            throw new Error(`Cannot create a ${config.type} provider here.`);
+    }
+}
+
+loadNetworks(NETWORKS);
+if (process.env.NETWORKS_FILE) loadNetworks(process.env.NETWORKS_FILE);
+
+module.exports = {
+    PROVIDER_TYPES,
+    createProvider,
+    getApiKey,
+    getNetworkConfig,
+    getNetworkNames,
+    loadNetworks,
+    readNetworks,
+    registerNetwork,
+};
@@ -0,0 +1,12 @@
+/**
+ * Whether a node refused a transaction because it already has it, e.g. a broadcast retried
+ * after a timeout or sent to several endpoints.
+ *
+ * @param {Error} err The error of `eth_sendRawTransaction`.
+ * @returns {boolean}
+ */
+const isKnownTransaction = (err) => /already known|known transaction|already imported/i.test(err.error?.message || err.message);
+
+module.exports = {
+    isKnownTransaction,
+};
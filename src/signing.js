@@ -0,0 +1,98 @@
+const { Contract, utils } = require('ethers');
+
+const ERC2612_ABI = [
+    'function name() view returns (string)',
+    'function version() view returns (string)',
+    'function nonces(address owner) view returns (uint256)',
+];
+
+/**
+ * The EIP-712 types of an EIP-2612 permit.
+ */
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ],
+};
+
+/**
+ * Object containing the parameters of an EIP-2612 permit.
+ *
+ * @typedef {Object} PermitParamsObj
+ * @property {string} token The token contract address, the domain's verifying contract.
+ * @property {string} owner The address allowing the spend.
+ * @property {string} spender The address allowed to spend.
+ * @property {BigNumberish} value The allowance in the token's smallest unit.
+ * @property {BigNumberish} deadline The timestamp in seconds after which the permit expires.
+ * @property {BigNumberish} nonce The owner's permit nonce on the token.
+ * @property {string} name The token name, the domain's name.
+ * @property {string} [version] The domain version. Defaults to `1`.
+ * @property {number} chainId The chain id.
+ */
+
+/**
+ * EIP-712 typed data: a domain, its types and the value to sign.
+ *
+ * @typedef {Object} TypedDataObj
+ * @property {TypedDataDomain} domain The EIP-712 domain.
+ * @property {Object.<string, Array.<TypedDataField>>} types The types, without
+ * `EIP712Domain`.
+ * @property {Object} value The value.
+ */
+
+/**
+ * Build the typed data of an EIP-2612 permit.
+ *
+ * @param {PermitParamsObj} params The permit parameters.
+ * @returns {TypedDataObj} The typed data to sign.
+ */
+const buildPermit = ({ token, owner, spender, value, deadline, nonce, name, version = '1', chainId }) => {
+    return {
+        domain: { name, version, chainId, verifyingContract: utils.getAddress(token) },
+        types: PERMIT_TYPES,
+        value: {
+            owner: utils.getAddress(owner),
+            spender: utils.getAddress(spender),
+            value: value.toString(),
+            nonce: nonce.toString(),
+            deadline: deadline.toString(),
+        },
+    };
+}
+
+/**
+ * Read the permit domain and the owner's nonce from an EIP-2612 token, unless given. Tokens
+ * without a `version()` getter are assumed to use `1`.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {string} token The token contract address.
+ * @param {string} owner The address allowing the spend.
+ * @param {Object} [known] The parameters already known.
+ * @param {string} [known.name] The token name.
+ * @param {string} [known.version] The domain version.
+ * @param {BigNumberish} [known.nonce] The owner's permit nonce.
+ * @returns {Promise<{name: string, version: string, nonce: string, chainId: number}>} The
+ * permit parameters.
+ */
+const getPermitParams = async (provider, token, owner, { name, version, nonce } = {}) => {
+    const _contract = new Contract(token, ERC2612_ABI, provider);
+
+    const [_name, _version, _nonce, _network] = await Promise.all([
+        name !== undefined ? name : _contract.name(),
+        version !== undefined ? version : _contract.version().catch(() => '1'),
+        nonce !== undefined ? nonce : _contract.nonces(owner),
+        provider.getNetwork(),
+    ]);
+
+    return { name: _name, version: _version, nonce: _nonce.toString(), chainId: _network.chainId };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    buildPermit,
+    getPermitParams,
+};
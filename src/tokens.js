@@ -0,0 +1,207 @@
+const { Contract, utils } = require('ethers');
+
+const { BALANCE_BATCH_SIZE } = require('./config');
+const { getCallResults } = require('./balances');
+
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+];
+
+const ERC721_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function symbol() view returns (string)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+];
+
+const ERC721_ENUMERABLE_INTERFACE_ID = '0x780e9d63';
+
+const _erc20 = new utils.Interface(ERC20_ABI);
+const _erc721 = new utils.Interface(ERC721_ABI);
+
+/**
+ * The symbol and decimals of a token.
+ *
+ * @typedef {Object} TokenInfoObj
+ * @property {string} token The token contract address.
+ * @property {string} symbol The token symbol, or the shortened address if it has none.
+ * @property {number} decimals The token decimals. 0 for ERC-721 tokens.
+ */
+
+/**
+ * An account's balance of one ERC-20 token.
+ *
+ * @typedef {Object} TokenBalanceObj
+ * @property {string} token The token contract address.
+ * @property {string} symbol The token symbol.
+ * @property {number} decimals The token decimals.
+ * @property {string} balance The balance in the token's smallest unit.
+ * @property {string} formatted The balance in whole tokens, e.g. `12.5`.
+ */
+
+/**
+ * An account's holdings of one ERC-721 collection.
+ *
+ * @typedef {Object} NftHoldingObj
+ * @property {string} token The collection contract address.
+ * @property {string} symbol The collection symbol.
+ * @property {number} balance The number of tokens owned.
+ * @property {Array.<string>|null} tokenIds The owned token ids, or null if they cannot be
+ * listed (the collection is not enumerable and no candidate ids were given).
+ */
+
+const _shortAddress = (address) => `${address.substring(0, 6)}…${address.substring(address.length - 4)}`;
+
+/**
+ * Get the symbol and decimals of a token, tolerating tokens without them.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {string} token The token contract address.
+ * @param {Array.<string>} [abi] The token ABI. Defaults to ERC-20.
+ * @returns {Promise<TokenInfoObj>} The token info.
+ */
+const getTokenInfo = async (provider, token, abi = ERC20_ABI) => {
+    const _contract = new Contract(token, abi, provider);
+
+    const [_symbol, _decimals] = await Promise.all([
+        _contract.symbol().catch(() => _shortAddress(token)),
+        _contract.decimals ? _contract.decimals().catch(() => 18) : 0,
+    ]);
+
+    return { token: utils.getAddress(token), symbol: _symbol, decimals: _decimals };
+}
+
+/**
+ * Call a contract method for every item, with batched `eth_call`s.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Interface} iface The contract interface.
+ * @param {string} method The view method.
+ * @param {Array.<{to: string, args: Array}>} calls The contract and arguments of each call.
+ * @param {number} [batchSize] The number of calls per batch.
+ * @returns {Promise<Array>} The first value returned by each call, index-aligned with the
+ * calls.
+ */
+const _callView = async (provider, iface, method, calls, batchSize) => {
+    const _results = await getCallResults(provider, calls.map(({ to, args }) => {
+        return { to, data: iface.encodeFunctionData(method, args) };
+    }), { batchSize });
+
+    return _results.map(result => iface.decodeFunctionResult(method, result)[0]);
+}
+
+/**
+ * Get the ERC-20 balances of the accounts, with batched `eth_call`s.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Array.<string>} tokens The token contract addresses.
+ * @param {Array.<string>} addresses The account addresses.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of calls per batch. Defaults to
+ * `BALANCE_BATCH_SIZE` in config.js.
+ * @returns {Promise<Array.<Array.<TokenBalanceObj>>>} The balances per account
+ * (index-aligned with the addresses), each holding one entry per token.
+ */
+const getTokenBalances = async (provider, tokens, addresses, { batchSize = BALANCE_BATCH_SIZE } = {}) => {
+    const _infos = await Promise.all(tokens.map(token => getTokenInfo(provider, token)));
+
+    const _balances = await _callView(provider, _erc20, 'balanceOf', addresses.flatMap(address => {
+        return _infos.map(info => ({ to: info.token, args: [address] }));
+    }), batchSize);
+
+    return addresses.map((_, a) => _infos.map((info, i) => {
+        const _balance = _balances[a * _infos.length + i];
+
+        return {
+            ...info,
+            balance: _balance.toString(),
+            formatted: utils.formatUnits(_balance, info.decimals),
+        }
+    }));
+}
+
+/**
+ * Get the ERC-721 tokens owned by the accounts, with batched `eth_call`s. Owned ids are
+ * listed through ERC721Enumerable when the collection supports it, otherwise the given
+ * candidate ids are checked with `ownerOf`.
+ *
+ * @param {Provider} provider The JSON-RPC node provider.
+ * @param {Array.<string>} collections The collection contract addresses.
+ * @param {Array.<string>} addresses The account addresses.
+ * @param {Object.<string, Array.<string|number>>} [tokenIds] Candidate token ids keyed by
+ * collection address.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of calls per batch. Defaults to
+ * `BALANCE_BATCH_SIZE` in config.js.
+ * @returns {Promise<Array.<Array.<NftHoldingObj>>>} The holdings per account (index-aligned
+ * with the addresses), each holding one entry per collection.
+ */
+const getNftHoldings = async (provider, collections, addresses, tokenIds = {}, { batchSize = BALANCE_BATCH_SIZE } = {}) => {
+    const _candidates = Object.fromEntries(
+        Object.entries(tokenIds).map(([token, ids]) => [token.toLowerCase(), ids.map(id => id.toString())])
+    );
+
+    const _collections = await Promise.all(collections.map(async (collection) => {
+        const _contract = new Contract(collection, ERC721_ABI, provider);
+        const _info = await getTokenInfo(provider, collection, ERC721_ABI);
+        const _enumerable = await _contract.supportsInterface(ERC721_ENUMERABLE_INTERFACE_ID).catch(() => false);
+
+        // Owners of the candidate ids, looked up once for every account. Unminted ids
+        // revert, so they are not batched.
+        const _ids = _candidates[collection.toLowerCase()];
+        let _owners = null;
+
+        if (!_enumerable && _ids) {
+            _owners = [];
+            for (let i = 0; i < _ids.length; i += batchSize) {
+                _owners.push(...await Promise.all(_ids.slice(i, i + batchSize).map(id => _contract.ownerOf(id).catch(() => null))));
+            }
+        }
+
+        return { info: _info, enumerable: _enumerable, ids: _ids, owners: _owners };
+    }));
+
+    const _pairs = addresses.flatMap(address => _collections.map(collection => ({ address, collection })));
+    const _balances = (await _callView(provider, _erc721, 'balanceOf', _pairs.map(({ address, collection }) => {
+        return { to: collection.info.token, args: [address] };
+    }), batchSize)).map(balance => balance.toNumber());
+
+    // The ids of every enumerable holding, by owner index.
+    const _indexCalls = _pairs.flatMap(({ address, collection }, p) => collection.enumerable
+        ? [...Array(_balances[p]).keys()].map(i => ({ to: collection.info.token, args: [address, i], pair: p }))
+        : []);
+    const _indexedIds = await _callView(provider, _erc721, 'tokenOfOwnerByIndex', _indexCalls, batchSize);
+
+    const _holdings = _pairs.map(({ address, collection }, p) => {
+        let _tokenIds = null;
+
+        if (collection.enumerable) {
+            _tokenIds = _indexCalls
+                .map((call, i) => call.pair === p ? _indexedIds[i].toString() : null)
+                .filter(id => id !== null);
+        }
+        else if (collection.owners) {
+            _tokenIds = collection.ids.filter((_, i) => collection.owners[i] === address);
+        }
+
+        return {
+            token: collection.info.token,
+            symbol: collection.info.symbol,
+            balance: _balances[p],
+            tokenIds: _tokenIds,
+        }
+    });
+
+    return addresses.map((_, a) => _holdings.slice(a * _collections.length, (a + 1) * _collections.length));
+}
+
+module.exports = {
+    ERC20_ABI,
+    ERC721_ABI,
+    getNftHoldings,
+    getTokenBalances,
+    getTokenInfo,
+};
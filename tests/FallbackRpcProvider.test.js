@@ -0,0 +1,137 @@
+const { afterEach, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Wallet, utils } = require('ethers');
+
+const FallbackRpcProvider = require('../src/FallbackRpcProvider');
+const { startRpcStub, unreachableUrl } = require('./helpers');
+
+const FAST = { retries: 2, backoff: 5, timeout: 1000, cooldown: 60000 };
+
+describe('FallbackRpcProvider', () => {
+    let _stubs = [];
+
+    const _stub = async (respond, options) => {
+        const _node = await startRpcStub(respond, options);
+        _stubs.push(_node);
+
+        return _node;
+    }
+
+    afterEach(async () => {
+        await Promise.all(_stubs.map(stub => stub.close()));
+        _stubs = [];
+    });
+
+    test('retries an endpoint on transport errors', async () => {
+        const _node = await _stub((_, count) => count < 3 ? { status: 502 } : '0x10');
+        const _provider = new FallbackRpcProvider([_node.url], FAST);
+
+        assert.strictEqual(await _provider.send('eth_blockNumber', []), '0x10');
+        assert.strictEqual(_node.requests.length, 3);
+    });
+
+    test('does not retry or fall back on errors returned by the node', async () => {
+        const _first = await _stub(() => ({ error: { code: 3, message: 'execution reverted' } }));
+        const _second = await _stub(() => '0x');
+        const _provider = new FallbackRpcProvider([_first.url, _second.url], FAST);
+
+        await assert.rejects(_provider.send('eth_call', [{ to: Wallet.createRandom().address }, 'latest']), /execution reverted/);
+        assert.strictEqual(_first.requests.length, 1);
+        assert.strictEqual(_second.requests.length, 0);
+    });
+
+    test('falls back by priority and tries failing endpoints last until their cooldown ends', async () => {
+        const _down = await unreachableUrl();
+        const _backup = await _stub(() => '0x2');
+        const _preferred = await _stub(() => '0x1');
+        const _provider = new FallbackRpcProvider([
+            { url: _backup.url, priority: 2 },
+            { url: _down, priority: 0 },
+            { url: _preferred.url, priority: 1 },
+        ], FAST);
+
+        assert.deepStrictEqual(_provider.urls, [_down, _preferred.url, _backup.url]);
+        // Not eth_blockNumber, whose answer the endpoint providers reuse within a tick.
+        assert.strictEqual(await _provider.send('eth_gasPrice', []), '0x1');
+
+        // Back up: still cooling down, so the preferred endpoint answers first.
+        await _preferred.close();
+        assert.strictEqual(await _provider.send('eth_gasPrice', []), '0x2');
+        assert.strictEqual(_backup.requests.length, 1);
+    });
+
+    test('tries a failing endpoint first again once its cooldown ends', async () => {
+        let _failing = true;
+        const _flaky = await _stub(() => _failing ? { status: 503 } : '0x1');
+        const _backup = await _stub(() => '0x2');
+        const _provider = new FallbackRpcProvider([_flaky.url, _backup.url], { ...FAST, retries: 0, cooldown: 50 });
+        // The network detection answers on the flaky endpoint too, which would end its cooldown.
+        await _provider.ready;
+
+        assert.strictEqual(await _provider.send('eth_blockNumber', []), '0x2');
+        _failing = false;
+        assert.strictEqual(await _provider.send('eth_blockNumber', []), '0x2');
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.strictEqual(await _provider.send('eth_blockNumber', []), '0x1');
+    });
+
+    test('needs a quorum of endpoints to agree on read-only calls', async () => {
+        const _address = Wallet.createRandom().address;
+        const _a = await _stub(() => '0x64');
+        const _b = await _stub(() => '0x64');
+        const _c = await _stub(() => '0x65');
+
+        const _agreeing = new FallbackRpcProvider([_a.url, _b.url], { ...FAST, quorum: 2 });
+        assert.ok((await _agreeing.getBalance(_address)).eq(100));
+
+        const _disagreeing = new FallbackRpcProvider([_a.url, _c.url], { ...FAST, quorum: 2 });
+        await assert.rejects(_disagreeing.send('eth_getBalance', [_address, 'latest']), /No 2 endpoints agree on eth_getBalance/);
+
+        // Other methods are answered by the first endpoint alone.
+        const _requests = _c.requests.length;
+        assert.strictEqual(await new FallbackRpcProvider([_c.url, _a.url], { ...FAST, quorum: 2 }).send('eth_gasPrice', []), '0x65');
+        assert.strictEqual(_c.requests.length, _requests + 1);
+
+        assert.throws(() => new FallbackRpcProvider([_a.url], { quorum: 2 }), /quorum of 2/);
+    });
+
+    test('recovers a transaction the same endpoint already got before timing out', async () => {
+        const _raw = await Wallet.createRandom().signTransaction({ to: Wallet.createRandom().address, value: 1, gasLimit: 21000, gasPrice: 1, chainId: 1 });
+        const _node = await _stub((_, count) => count === 1
+            ? { delay: 300, answer: utils.keccak256(_raw) }
+            : { error: { code: -32000, message: 'already known' } });
+        const _provider = new FallbackRpcProvider([_node.url], { ...FAST, timeout: 100 });
+
+        assert.strictEqual(await _provider.send('eth_sendRawTransaction', [_raw]), utils.keccak256(_raw));
+        assert.strictEqual(_node.requests.length, 2);
+    });
+
+    test('sends batches with the same fallback', async () => {
+        const _down = await unreachableUrl();
+        const _node = await _stub(({ params }) => params[0] === '0x01' ? '0x1' : '0x2');
+        const _provider = new FallbackRpcProvider([_down, _node.url], FAST);
+
+        assert.deepStrictEqual(await _provider.sendBatch([
+            { method: 'eth_getBalance', params: ['0x01', 'latest'] },
+            { method: 'eth_getBalance', params: ['0x02', 'latest'] },
+        ]), ['0x1', '0x2']);
+    });
+
+    test('reports the health of every endpoint', async () => {
+        const _healthy = await _stub(() => '0x2a', { chainId: '0x5' });
+        const _wrongChain = await _stub(() => '0x2a', { chainId: '0x1' });
+        const _down = await unreachableUrl();
+        const _provider = new FallbackRpcProvider([_healthy.url, _wrongChain.url, _down], { ...FAST, chainId: 5 });
+
+        const _health = await _provider.healthCheck();
+
+        assert.deepStrictEqual(_health.map(({ url, healthy, chainId, blockNumber }) => ({ url, healthy, chainId, blockNumber })), [
+            { url: _healthy.url, healthy: true, chainId: 5, blockNumber: 42 },
+            { url: _wrongChain.url, healthy: false, chainId: 1, blockNumber: 42 },
+            { url: _down, healthy: false, chainId: null, blockNumber: null },
+        ]);
+        assert.match(_health[1].error, /Expected chain id 5/);
+        assert.ok(_health[2].error);
+    });
+});
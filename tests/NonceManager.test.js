@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const Ganache = require('ganache-core');
+const { Wallet, utils, providers: { Web3Provider } } = require('ethers');
+
+const NonceManager = require('../src/NonceManager');
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC } = require('./helpers');
+
+const _createAccount = () => {
+    const _account = Wallet.fromMnemonic(MNEMONIC);
+    const _provider = new Web3Provider(Ganache.provider({
+        accounts: [{ secretKey: Buffer.from(_account.privateKey.substring(2), 'hex'), balance: utils.parseEther('100').toString() }],
+    }));
+
+    return _account.connect(_provider);
+}
+
+describe('NonceManager', () => {
+    test('does not send again a transaction the node already knows', async () => {
+        const _account = _createAccount();
+        const _provider = _account.provider;
+        const _sendTransaction = _provider.sendTransaction.bind(_provider);
+        const _broadcasts = [];
+
+        // The first broadcast reaches the node but is answered as if it was retried.
+        _provider.sendTransaction = async (signed) => {
+            _broadcasts.push(signed);
+            const _tx = await _sendTransaction(signed);
+            if (_broadcasts.length === 1) throw new Error('already known');
+
+            return _tx;
+        };
+
+        const _recipient = Wallet.createRandom().address;
+        const _receipt = await new NonceManager(_account).sendAndWait({ to: _recipient, value: utils.parseEther('1') });
+
+        assert.strictEqual(_broadcasts.length, 1);
+        assert.strictEqual(_receipt.transactionHash, utils.keccak256(_broadcasts[0]));
+        assert.strictEqual(await _account.getTransactionCount(), 1);
+        assert.ok((await _provider.getBalance(_recipient)).eq(utils.parseEther('1')));
+    });
+
+    test('reuses the nonce of a failed send', async () => {
+        const _account = _createAccount();
+        const _manager = new NonceManager(_account);
+
+        await assert.rejects(_manager.sendTransaction({ to: _account.address, value: utils.parseEther('1000') }));
+        await _manager.sendAndWait({ to: _account.address, value: 1 });
+
+        assert.strictEqual(await _account.getTransactionCount(), 1);
+    });
+
+    test('resyncs the later concurrent sends when one fails', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+
+        const _results = await Promise.allSettled([
+            _wallet.send({ from: 0, to: 1, amount: '1' }),
+            _wallet.send({ from: 0, to: 1, amount: '1000' }),
+            _wallet.send({ from: 0, to: 1, amount: '2' }),
+        ]);
+
+        assert.deepStrictEqual(_results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+        assert.strictEqual((await _wallet.ready)[1][1], '103');
+
+        await _wallet.send({ from: 0, to: 1, amount: '1' });
+        assert.strictEqual(await (await _wallet.getAccount(0)).getTransactionCount(), 3);
+    });
+
+    test('stops waiting for a transaction after the timeout', async () => {
+        const _manager = new NonceManager(_createAccount());
+        const _stuck = { hash: utils.keccak256('0x01'), nonce: 5, wait: () => new Promise(() => { }) };
+
+        await assert.rejects(_manager.wait(_stuck, { timeout: 50 }), { code: utils.Logger.errors.TIMEOUT });
+    });
+
+    test('does not rebroadcast a dropped transaction it did not send', async () => {
+        const _account = _createAccount();
+        const _manager = new NonceManager(_account);
+        const _stuck = { hash: utils.keccak256('0x02'), nonce: 0, wait: () => new Promise(() => { }) };
+        const _sendTransaction = _account.provider.sendTransaction;
+        let _broadcasts = 0;
+        _account.provider.sendTransaction = (signed) => { _broadcasts++; return _sendTransaction.call(_account.provider, signed); };
+
+        await assert.rejects(_manager.wait(_stuck, { dropTimeout: 10, timeout: 100 }), { code: utils.Logger.errors.TIMEOUT });
+        assert.strictEqual(_broadcasts, 0);
+    });
+});
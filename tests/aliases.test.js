@@ -0,0 +1,60 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC, tempDir } = require('./helpers');
+
+describe('account aliases', () => {
+    let _wallet;
+
+    before(async () => {
+        _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 4, aliases: { deployer: 0, treasury: 3 } });
+    });
+
+    test('get accounts by alias', async () => {
+        const _addresses = await _wallet.getPublicKeys();
+
+        assert.strictEqual((await _wallet.getAccount('deployer')).address, _addresses[0]);
+        assert.strictEqual((await _wallet.getAccount('treasury')).address, _addresses[3]);
+        await assert.rejects(_wallet.getAccount('nobody'));
+    });
+
+    test('send between aliased accounts', async () => {
+        const _receipt = await _wallet.send({ from: 'treasury', to: 'deployer', amount: '1' });
+        const [_, _balances] = await _wallet.ready;
+
+        assert.strictEqual(_receipt.from, (await _wallet.getAccount('treasury')).address);
+        assert.strictEqual(_receipt.to, (await _wallet.getAccount('deployer')).address);
+        assert.strictEqual(_balances[0], '101');
+    });
+
+    test('print and export the aliases', async () => {
+        let _output = '';
+        await _wallet.printKeyPairs({ stream: { write: (chunk) => { _output += chunk; } }, format: 'json' });
+
+        assert.deepStrictEqual(JSON.parse(_output).map(row => row.alias), ['deployer', undefined, undefined, 'treasury']);
+        assert.match(await _wallet.exportHardhatConfig(), /\}, \/\/ deployer\n/);
+        assert.match(await _wallet.exportHardhatConfig(), /\}, \/\/ treasury\n/);
+    });
+});
+
+describe('aliases file', () => {
+    let _temp;
+
+    before(() => { _temp = tempDir(); });
+    after(() => _temp.cleanup());
+
+    test('starts empty when missing and is created on save', async () => {
+        const _file = path.join(_temp.dir, 'aliases.json');
+        const _wallet = new Web3Wallet({ mnemonic: MNEMONIC, numberOfWallets: 2, aliases: _file });
+
+        assert.deepStrictEqual(_wallet.aliases, {});
+
+        _wallet.setAlias('deployer', 1);
+        assert.strictEqual(await _wallet.saveAliases(), _file);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(_file, 'utf8')), { deployer: 1 });
+        assert.deepStrictEqual(new Web3Wallet({ mnemonic: MNEMONIC, numberOfWallets: 2, aliases: _file }).aliases, { deployer: 1 });
+    });
+});
@@ -0,0 +1,94 @@
+const { afterEach, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Wallet, providers: { JsonRpcProvider } } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const KeyDeriver = require('../src/KeyDeriver');
+const FallbackRpcProvider = require('../src/FallbackRpcProvider');
+const { getBalances } = require('../src/balances');
+const { MNEMONIC, startRpcStub } = require('./helpers');
+
+const _addresses = [...Array(5)].map(() => Wallet.createRandom().address);
+
+// Every address holds its position in the list, in wei.
+const _balanceOf = ({ params }) => `0x${(_addresses.findIndex(address => address.toLowerCase() === params[0]) + 1).toString(16)}`;
+
+describe('getBalances', () => {
+    let _stubs = [];
+
+    const _stub = async (respond, options) => {
+        const _node = await startRpcStub(respond, options);
+        _stubs.push(_node);
+
+        return _node;
+    }
+
+    afterEach(async () => {
+        await Promise.all(_stubs.map(stub => stub.close()));
+        _stubs = [];
+    });
+
+    test('sends batches of batchSize requests', async () => {
+        const _node = await _stub(_balanceOf);
+        const _balances = await getBalances(new FallbackRpcProvider([_node.url]), _addresses, { batchSize: 2 });
+
+        assert.deepStrictEqual(_balances.map(balance => balance.toNumber()), [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(_node.batches, [2, 2, 1]);
+    });
+
+    test('sends the requests one by one to a node refusing batches', async () => {
+        const _node = await _stub(_balanceOf, { batches: false });
+        const _provider = new FallbackRpcProvider([_node.url]);
+
+        assert.deepStrictEqual((await getBalances(_provider, _addresses)).map(balance => balance.toNumber()), [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual((await getBalances(_provider, _addresses)).map(balance => balance.toNumber()), [1, 2, 3, 4, 5]);
+        assert.strictEqual(_node.requests.length, 10);
+    });
+
+    test('loads a wallet from a node refusing batches', async () => {
+        const _node = await _stub(() => '0xde0b6b3a7640000', { batches: false });
+        Web3Wallet.registerNetwork('NO_BATCHES', { type: 'jsonrpc', rpcUrls: [_node.url] });
+
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, network: 'NO_BATCHES', numberOfWallets: 3 });
+
+        assert.deepStrictEqual((await _wallet.ready)[1], ['1', '1', '1']);
+    });
+
+    test('sends at most batchSize requests at once without batches', async () => {
+        let _inFlight = 0;
+        let _maxInFlight = 0;
+        const _node = await _stub(async (request) => {
+            _maxInFlight = Math.max(_maxInFlight, ++_inFlight);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            _inFlight--;
+
+            return _balanceOf(request);
+        });
+
+        const _balances = await getBalances(new JsonRpcProvider(_node.url), _addresses, { batchSize: 2 });
+
+        assert.deepStrictEqual(_balances.map(balance => balance.toNumber()), [1, 2, 3, 4, 5]);
+        assert.strictEqual(_maxInFlight, 2);
+        assert.deepStrictEqual(_node.batches, []);
+    });
+});
+
+describe('key caching', () => {
+    test('keeps the derived keys across balance and rpcPort changes', async (t) => {
+        const _fromMnemonic = t.mock.method(KeyDeriver, 'fromMnemonic');
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+        const _signingKey = (await _wallet.ready)[0][1]._signingKey();
+
+        _wallet.balance = '50';
+        assert.deepStrictEqual((await _wallet.ready)[1], ['50', '50']);
+        _wallet.rpcPort = '8556';
+        const [_wallets] = await _wallet.ready;
+
+        assert.strictEqual(_fromMnemonic.mock.callCount(), 1);
+        assert.strictEqual(_wallets[1]._signingKey(), _signingKey);
+
+        _wallet.passphrase = 'another wallet';
+        await _wallet.ready;
+        assert.strictEqual(_fromMnemonic.mock.callCount(), 2);
+    });
+});
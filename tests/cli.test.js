@@ -0,0 +1,89 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { main, parseArgs } = require('../bin/web3-wallet');
+const { MNEMONIC } = require('./helpers');
+
+// Run the CLI, capturing its output.
+const _run = async (t, argv) => {
+    const _log = t.mock.method(console, 'log', () => { });
+    const _error = t.mock.method(console, 'error', () => { });
+
+    const _code = await main(argv);
+    const _output = (mock) => mock.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+
+    _log.mock.restore();
+    _error.mock.restore();
+
+    return { code: _code, stdout: _output(_log), stderr: _output(_error) };
+}
+
+describe('parseArgs', () => {
+    test('parses a command and camel-cased options', () => {
+        assert.deepStrictEqual(parseArgs(['keys', '--count', '3', '--rpc-port=8545', '--json', '--mask=false']), {
+            command: 'keys',
+            options: { count: '3', rpcPort: '8545', json: true, mask: false },
+        });
+    });
+
+    test('rejects missing values and extra arguments', () => {
+        assert.throws(() => parseArgs(['send', '--from']), /--from requires a value/);
+        assert.throws(() => parseArgs(['send', '--to', '--amount', '1']), /--to requires a value/);
+        assert.throws(() => parseArgs(['keys', 'balances']), /Unexpected argument 'balances'/);
+    });
+});
+
+describe('main', () => {
+    before(() => { process.env.MNEMONIC = MNEMONIC; });
+
+    test('maps the options onto the wallet params', async (t) => {
+        const _create = Web3Wallet.create;
+        let _params;
+        t.mock.method(Web3Wallet, 'create', (params) => {
+            _params = params;
+            return _create(params);
+        });
+
+        const { code, stdout } = await _run(t, [
+            'accounts', '--network', 'ganache_core', '--count', '2', '--balance', '1,2', '--path', 'LEGACY_MEW',
+            '--start-index', '3', '--locale', 'en', '--json',
+        ]);
+
+        assert.strictEqual(code, 0);
+        assert.deepStrictEqual(_params, {
+            network: 'GANACHE_CORE',
+            numberOfWallets: 2,
+            balance: ['1', '2'],
+            derivationPath: 'LEGACY_MEW',
+            startIndex: 3,
+            locale: 'en',
+        });
+        assert.deepStrictEqual(JSON.parse(stdout).map(account => account.path), ["m/44'/60'/0'/3", "m/44'/60'/0'/4"]);
+    });
+
+    test('exits with 2 on usage errors', async (t) => {
+        for (const _argv of [['keys', '--count', '0'], ['unknown'], ['keys', '--count', 'two'], []]) {
+            assert.strictEqual((await _run(t, _argv)).code, 2, _argv.join(' '));
+        }
+
+        assert.match((await _run(t, ['keys', '--count', '0'])).stderr, /--count must be at least 1/);
+        assert.match((await _run(t, ['unknown'])).stderr, /Unknown command 'unknown'/);
+    });
+
+    test('exits with 1 on wallet errors, described as JSON with --json', async (t) => {
+        const { code, stderr } = await _run(t, ['balances', '--network', 'nowhere', '--json']);
+
+        const { error: { message, ...error } } = JSON.parse(stderr);
+
+        assert.strictEqual(code, 1);
+        assert.match(message, /Unsupported network 'NOWHERE'/);
+        assert.deepStrictEqual(error, { name: 'UnsupportedNetworkError', network: 'NOWHERE', rpcPort: '8555' });
+
+        const _xpub = (await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1 })).getExtendedPublicKey();
+        const _watchOnly = await _run(t, ['send', '--xpub', _xpub, '--from', '0', '--to', '1', '--amount', '1']);
+
+        assert.strictEqual(_watchOnly.code, 1);
+        assert.match(_watchOnly.stderr, /^ERROR: .*watch-only/m);
+    });
+});
@@ -0,0 +1,78 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Wallet, utils, providers: { JsonRpcProvider } } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC, startNode } = require('./helpers');
+
+const _address = (path) => Wallet.fromMnemonic(MNEMONIC, path).address;
+
+describe('discoverAccounts', () => {
+    let _wallet;
+
+    // Account 0 funds indices 3 and 9 and the first address of the second BIP44 account.
+    before(async () => {
+        _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1 });
+
+        for (const _path of ["m/44'/60'/0'/0/3", "m/44'/60'/0'/0/9", "m/44'/60'/1'/0/0"]) {
+            await _wallet.send({ from: 0, to: _address(_path), amount: '1' });
+        }
+    });
+
+    test('finds the used addresses of every BIP44 account', async () => {
+        const [_accounts, _balances, _paths, _nonces] = await _wallet.discoverAccounts({ gapLimit: 6 });
+
+        assert.deepStrictEqual(_paths, ["m/44'/60'/0'/0/0", "m/44'/60'/0'/0/3", "m/44'/60'/0'/0/9", "m/44'/60'/1'/0/0"]);
+        assert.deepStrictEqual(_accounts.map(account => account.address), _paths.map(_address));
+        assert.deepStrictEqual(_balances.slice(1), ['1', '1', '1']);
+        assert.deepStrictEqual(_nonces, [3, 0, 0, 0]);
+        assert.strictEqual(_accounts[1].provider, _wallet.provider);
+    });
+
+    test('stops at a gap of gapLimit unused addresses', async () => {
+        const [_, __, _paths] = await _wallet.discoverAccounts({ gapLimit: 5 });
+
+        assert.deepStrictEqual(_paths, ["m/44'/60'/0'/0/0", "m/44'/60'/0'/0/3", "m/44'/60'/1'/0/0"]);
+    });
+
+    test('rejects invalid gap limits and wallets from private keys', async () => {
+        await assert.rejects(_wallet.discoverAccounts({ gapLimit: 0 }), /Invalid gap limit 0/);
+
+        const _keys = await Web3Wallet.create({ privateKeys: [Wallet.createRandom().privateKey] });
+        await assert.rejects(_keys.discoverAccounts(), /cannot be discovered/);
+    });
+});
+
+describe('discoverAccounts of watch-only wallets', () => {
+    let _node;
+
+    before(async () => {
+        _node = await startNode();
+        const _funder = new JsonRpcProvider(_node.url).getSigner(0);
+
+        for (const _path of ["m/44'/60'/0'/0/2", "m/44'/60'/0'/0/6", "m/44'/60'/1'/0/0"]) {
+            await (await _funder.sendTransaction({ to: _address(_path), value: utils.parseEther('2') })).wait();
+        }
+    });
+
+    after(() => _node.close());
+
+    test('scans the children of the extended public key only', async () => {
+        const _xpub = (await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1 })).getExtendedPublicKey();
+        const _watcher = await Web3Wallet.create({
+            extendedPublicKey: _xpub,
+            numberOfWallets: 1,
+            network: 'NODE',
+            networks: { NODE: { type: 'jsonrpc', rpcUrls: [_node.url] } },
+        });
+
+        const [_accounts, _balances, _paths, _nonces] = await _watcher.discoverAccounts({ gapLimit: 4 });
+
+        // The paths are relative to the extended public key.
+        assert.deepStrictEqual(_paths, ['0/2', '0/6']);
+        assert.deepStrictEqual(_accounts.map(account => account.address), _paths.map(path => _address(`m/44'/60'/0'/${path}`)));
+        assert.ok(_accounts.every(account => !account.privateKey));
+        assert.deepStrictEqual(_balances, ['2', '2']);
+        assert.deepStrictEqual(_nonces, [0, 0]);
+    });
+});
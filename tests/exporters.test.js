@@ -0,0 +1,53 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { utils, wordlists } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC } = require('./helpers');
+
+describe('exportTruffleConfig', () => {
+    test('uses the mnemonic without a passphrase', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+        const _config = await _wallet.exportTruffleConfig();
+
+        assert.match(_config, new RegExp(`mnemonic: \\{ phrase: "${MNEMONIC}" \\}`));
+        assert.doesNotMatch(_config, /privateKeys/);
+    });
+
+    test('uses the private keys rather than print the passphrase', async () => {
+        const _passphrase = 'not for the config file';
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, passphrase: _passphrase, numberOfWallets: 2 });
+        const _config = await _wallet.exportTruffleConfig();
+
+        assert.ok(!_config.includes(_passphrase));
+        assert.ok(!_config.includes(MNEMONIC));
+        assert.ok(_config.includes(`privateKeys: ${JSON.stringify(await _wallet.getPrivateKeys())}`));
+    });
+
+    test('uses the private keys of a non-English mnemonic', async () => {
+        const _mnemonic = utils.entropyToMnemonic(utils.randomBytes(16), wordlists.es);
+        const _wallet = await Web3Wallet.create({ mnemonic: _mnemonic, numberOfWallets: 2 });
+        const _config = await _wallet.exportTruffleConfig();
+
+        assert.ok(!_config.includes(_mnemonic));
+        assert.ok(_config.includes(`privateKeys: ${JSON.stringify(await _wallet.getPrivateKeys())}`));
+    });
+});
+
+describe('exportGanacheMnemonicArgs', () => {
+    test('runs ganache-cli on the chain id of the chain options', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, chainOptions: { chainId: 31337 } });
+
+        assert.strictEqual(
+            await _wallet.exportGanacheMnemonicArgs(),
+            `ganache-cli -p 8555 --chainId 31337 --mnemonic "${MNEMONIC}" --hdPath "m/44'/60'/0'/0/" -a 2 -e 100`
+        );
+    });
+
+    test('rejects a non-English mnemonic', async () => {
+        const _mnemonic = utils.entropyToMnemonic(utils.randomBytes(16), wordlists.ja);
+        const _wallet = await Web3Wallet.create({ mnemonic: _mnemonic, numberOfWallets: 2 });
+
+        await assert.rejects(_wallet.exportGanacheMnemonicArgs(), /use exportGanacheCliArgs/);
+    });
+});
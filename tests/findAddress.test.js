@@ -0,0 +1,75 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Wallet } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC } = require('./helpers');
+
+const _address = (path) => Wallet.fromMnemonic(MNEMONIC, path).address;
+
+// BIP44 shifted by 10: index 2 is BIP44 index 12.
+const _shifted = (index) => `m/44'/60'/0'/0/${index + 10}`;
+
+describe('findAddress', () => {
+    let _wallet;
+
+    before(async () => {
+        _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1 });
+    });
+
+    test('searches the derivation path, then the presets', () => {
+        const _own = _wallet.findAddress(_address("m/44'/60'/0'/0/5"));
+        assert.deepStrictEqual({ index: _own.index, path: _own.path }, { index: 5, path: "m/44'/60'/0'/0/5" });
+
+        const _found = _wallet.findAddress(_address("m/44'/60'/0'/3"));
+        assert.deepStrictEqual({ index: _found.index, path: _found.path }, { index: 3, path: "m/44'/60'/0'/3" });
+        assert.strictEqual(_found.wallet.address, _address("m/44'/60'/0'/3"));
+        assert.strictEqual(_found.wallet.provider, null);
+    });
+
+    test('searches the given paths in order', () => {
+        const _target = _address("m/44'/60'/0'/0/12");
+
+        assert.strictEqual(_wallet.findAddress(_target, { paths: [_shifted, 'BIP44'] }).index, 2);
+        assert.strictEqual(_wallet.findAddress(_target, { paths: ['BIP44', _shifted] }).index, 12);
+        assert.strictEqual(_wallet.findAddress(_target, { paths: ['LEGACY_MEW'] }), null);
+    });
+
+    test('searches the wallet derivation path first', async () => {
+        const _shiftedWallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1, derivationPath: _shifted });
+
+        assert.strictEqual(_shiftedWallet.findAddress(_address("m/44'/60'/0'/0/12")).index, 2);
+        assert.strictEqual(_shiftedWallet.findAddress(_address("m/44'/60'/0'/0/3")).index, 3);
+    });
+
+    test('stops at maxIndex', () => {
+        const _target = _address("m/44'/60'/0'/0/12");
+
+        assert.strictEqual(_wallet.findAddress(_target, { maxIndex: 11 }), null);
+        assert.strictEqual(_wallet.findAddress(_target, { maxIndex: 12 }).index, 12);
+        assert.throws(() => _wallet.findAddress(_target, { maxIndex: -1 }), /Invalid max index -1/);
+    });
+
+    test('returns null for addresses not derived from the mnemonic', () => {
+        assert.strictEqual(_wallet.findAddress(Wallet.createRandom().address, { maxIndex: 10 }), null);
+    });
+
+    test('searches the keys of a wallet from private keys', async () => {
+        const _keys = [Wallet.createRandom(), Wallet.createRandom()];
+        const _keysWallet = await Web3Wallet.create({ privateKeys: _keys.map(key => key.privateKey) });
+        const _found = _keysWallet.findAddress(_keys[1].address.toLowerCase());
+
+        assert.deepStrictEqual({ index: _found.index, path: _found.path }, { index: 1, path: null });
+        assert.strictEqual(_found.wallet.privateKey, _keys[1].privateKey);
+        assert.strictEqual(_keysWallet.findAddress(_address("m/44'/60'/0'/0/0")), null);
+    });
+
+    test('searches the children of an extended public key', async () => {
+        const _watcher = await Web3Wallet.create({ extendedPublicKey: _wallet.getExtendedPublicKey(), numberOfWallets: 1 });
+        const _found = _watcher.findAddress(_address("m/44'/60'/0'/0/7"));
+
+        assert.deepStrictEqual({ index: _found.index, path: _found.path }, { index: 7, path: '0/7' });
+        assert.strictEqual(_found.wallet.privateKey, undefined);
+        assert.strictEqual(_watcher.findAddress(_address("m/44'/60'/0'/3"), { maxIndex: 10 }), null);
+    });
+});
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+// Minimal ERC-20, ERC-721 and EIP-2612 stand-ins for the token and signing tests, compiled into tokens.json with
+// solc 0.8.19 (optimizer on, evmVersion istanbul for ganache-core).
+pragma solidity ^0.8.19;
+
+contract TestToken {
+    string public symbol;
+    uint8 public decimals;
+    mapping(address => uint256) public balanceOf;
+
+    constructor(string memory _symbol, uint8 _decimals) {
+        symbol = _symbol;
+        decimals = _decimals;
+    }
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+    }
+}
+
+contract TestCollection {
+    string public symbol;
+    bool public enumerable;
+    mapping(uint256 => address) private _owners;
+    mapping(address => uint256[]) private _owned;
+
+    constructor(string memory _symbol, bool _enumerable) {
+        symbol = _symbol;
+        enumerable = _enumerable;
+    }
+
+    function mint(address to, uint256 tokenId) external {
+        require(_owners[tokenId] == address(0), "minted");
+        _owners[tokenId] = to;
+        _owned[to].push(tokenId);
+    }
+
+    function balanceOf(address owner) external view returns (uint256) {
+        return _owned[owner].length;
+    }
+
+    function ownerOf(uint256 tokenId) external view returns (address) {
+        require(_owners[tokenId] != address(0), "nonexistent");
+        return _owners[tokenId];
+    }
+
+    function supportsInterface(bytes4 interfaceId) external view returns (bool) {
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0x80ac58cd || (enumerable && interfaceId == 0x780e9d63);
+    }
+
+    function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256) {
+        require(enumerable, "not enumerable");
+        return _owned[owner][index];
+    }
+}
+
+contract TestPermitToken {
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    string public name;
+    string public constant version = "1";
+    mapping(address => uint256) public nonces;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    constructor(string memory _name) {
+        name = _name;
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes(name)),
+            keccak256(bytes(version)),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        require(block.timestamp <= deadline, "expired");
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR(),
+            keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline))
+        ));
+        require(ecrecover(digest, v, r, s) == owner, "invalid signature");
+        allowance[owner][spender] = value;
+    }
+}
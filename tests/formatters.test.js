@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { formatKeyPairs, maskSecret } = require('../src/formatters');
+
+const PRIVATE_KEY = '0xb96e9ccb774cc33213cbcb2c69d3cdae17b0fe4888a1ccd343cbd1a17fd98b18';
+
+const ROWS = [
+    {
+        index: 0,
+        alias: 'deployer',
+        address: '0xaC39b311DCEb2A4b2f5d8461c1cdaF756F4F7Ae9',
+        balance: '100',
+        tokens: '12.5 USDC, 0.0 DAI',
+        path: "m/44'/60'/0'/0/0",
+        publicKey: '0x04ab',
+        privateKey: PRIVATE_KEY,
+    },
+    {
+        index: 1,
+        address: '0xD7c0Cd9e7d2701c710D64Fc492C7086679BdF7b4',
+        balance: '99.5',
+        tokens: '0.0 USDC, 3.0 DAI',
+        path: "m/44'/60'/0'/0/1",
+        publicKey: '0x04cd',
+        privateKey: `0x${'01'.repeat(32)}`,
+    },
+];
+
+describe('formatKeyPairs', () => {
+    test('prints a Ganache style table by default', () => {
+        assert.strictEqual(formatKeyPairs(ROWS), [
+            'Available Accounts',
+            '==================',
+            '(0) 0xaC39b311DCEb2A4b2f5d8461c1cdaF756F4F7Ae9 (100 ETH)',
+            '(1) 0xD7c0Cd9e7d2701c710D64Fc492C7086679BdF7b4 (99.5 ETH)',
+            '',
+            'Private Keys',
+            '==================',
+            `(0) ${PRIVATE_KEY}`,
+            `(1) 0x${'01'.repeat(32)}`,
+            '',
+        ].join('\n'));
+    });
+
+    test('prints the chosen columns in their fixed order', () => {
+        assert.strictEqual(formatKeyPairs(ROWS, { columns: ['path', 'alias', 'index', 'tokens'] }), [
+            'Available Accounts',
+            '==================',
+            "(0) deployer [12.5 USDC, 0.0 DAI] m/44'/60'/0'/0/0",
+            "(1) [0.0 USDC, 3.0 DAI] m/44'/60'/0'/0/1",
+            '',
+        ].join('\n'));
+
+        assert.deepStrictEqual(JSON.parse(formatKeyPairs(ROWS, { format: 'json', columns: ['balance', 'index'] })), [
+            { index: 0, balance: '100' },
+            { index: 1, balance: '99.5' },
+        ]);
+    });
+
+    test('prints JSON with undefined columns left out', () => {
+        assert.deepStrictEqual(JSON.parse(formatKeyPairs(ROWS, { format: 'JSON', columns: ['index', 'alias', 'address'] })), [
+            { index: 0, alias: 'deployer', address: ROWS[0].address },
+            { index: 1, address: ROWS[1].address },
+        ]);
+    });
+
+    test('prints CSV with quoted values', () => {
+        assert.strictEqual(formatKeyPairs(ROWS, { format: 'csv', columns: ['index', 'alias', 'tokens', 'path'] }), [
+            'index,alias,tokens,path',
+            `0,deployer,"12.5 USDC, 0.0 DAI",m/44'/60'/0'/0/0`,
+            `1,,"0.0 USDC, 3.0 DAI",m/44'/60'/0'/0/1`,
+        ].join('\n'));
+
+        assert.strictEqual(
+            formatKeyPairs([{ index: 0, alias: 'say "hi"\nbye' }], { format: 'csv', columns: ['alias'] }),
+            'alias\n"say ""hi""\nbye"'
+        );
+    });
+
+    test('prints env variables with quoted values', () => {
+        assert.strictEqual(formatKeyPairs(ROWS, { format: 'env', columns: ['index', 'address', 'tokens', 'path'] }), [
+            `ADDRESS_0=${ROWS[0].address}`,
+            'TOKENS_0="12.5 USDC, 0.0 DAI"',
+            `DERIVATION_PATH_0="m/44'/60'/0'/0/0"`,
+            `ADDRESS_1=${ROWS[1].address}`,
+            'TOKENS_1="0.0 USDC, 3.0 DAI"',
+            `DERIVATION_PATH_1="m/44'/60'/0'/0/1"`,
+        ].join('\n'));
+
+        assert.strictEqual(
+            formatKeyPairs([{ index: 0, alias: 'a "$b" `c` \\d' }], { format: 'env', columns: ['alias'] }),
+            'ALIAS_0="a \\"\\$b\\" \\`c\\` \\\\d"'
+        );
+    });
+
+    test('masks the private keys', () => {
+        assert.strictEqual(maskSecret(PRIVATE_KEY), '0xb96e…8b18');
+        assert.strictEqual(maskSecret(undefined), undefined);
+
+        const _json = JSON.parse(formatKeyPairs(ROWS, { format: 'json', columns: ['privateKey'], maskSecrets: true }));
+        assert.deepStrictEqual(_json.map(row => row.privateKey), ['0xb96e…8b18', '0x0101…0101']);
+        assert.ok(!formatKeyPairs(ROWS, { maskSecrets: true }).includes(PRIVATE_KEY));
+    });
+
+    test('rejects unknown formats and columns', () => {
+        assert.throws(() => formatKeyPairs(ROWS, { format: 'xml' }), /Unknown format 'xml'. Expected one of: table, json, csv, env/);
+        assert.throws(() => formatKeyPairs(ROWS, { columns: ['address', 'seed'] }), /Unknown column\(s\) seed/);
+    });
+});
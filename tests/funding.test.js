@@ -0,0 +1,111 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Wallet, utils, providers: { JsonRpcProvider } } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { FundingError } = require('../src/errors');
+const { SET_BALANCE_METHODS, fundAccounts, setBalanceByRpc } = require('../src/funding');
+const { MNEMONIC, startNode, startRpcStub } = require('./helpers');
+
+// Like `ganache-cli --mnemonic` in .SAMPLE_ENV: the node's unlocked accounts are the wallet's.
+describe('funding on a node unlocking the derived accounts', () => {
+    let _node;
+    let _provider;
+
+    before(async () => {
+        _node = await startNode({ mnemonic: MNEMONIC, total_accounts: 3, default_balance_ether: 100 });
+        _provider = new JsonRpcProvider(_node.url);
+
+        // Leave account 0 below its balance and account 1 above it, as a send would.
+        const [_from, _to] = await _provider.listAccounts();
+        await (await _provider.getSigner(_from).sendTransaction({ to: _to, value: utils.parseEther('10') })).wait();
+    });
+
+    after(() => _node.close());
+
+    test('funds the accounts from the surplus of the others and reports the rest', async () => {
+        const _wallet = await Web3Wallet.create({
+            mnemonic: MNEMONIC,
+            network: 'GANACHE',
+            rpcPort: _node.url.split(':').pop(),
+            numberOfWallets: 3,
+            balance: ['95', '100', '200'],
+        });
+        const [_, _balances] = await _wallet.ready;
+
+        assert.deepStrictEqual(_balances.slice(0, 2), ['95', '100']);
+        assert.strictEqual(_wallet.fundingErrors.length, 1);
+        assert.ok(_wallet.fundingErrors[0] instanceof FundingError);
+        assert.strictEqual(_wallet.fundingErrors[0].index, 2);
+        // Account 1's excess went to account 2 rather than being burnt.
+        assert.ok(Number(_balances[2]) > 104.99);
+
+        // The accounts still work.
+        await _wallet.send({ from: 2, to: 0, amount: '1' });
+    });
+});
+
+describe('funding passes', () => {
+    test('reads the balances of the other accounts once', async () => {
+        const _node = await startNode({ mnemonic: MNEMONIC, total_accounts: 5, default_balance_ether: 100 });
+        const _provider = new JsonRpcProvider(_node.url);
+        const _send = _provider.send.bind(_provider);
+        let _reads = 0;
+        _provider.send = (method, params) => {
+            if (method === 'eth_getBalance') _reads++;
+            return _send(method, params);
+        };
+
+        try {
+            const _wallets = [...Array(5).keys()].map(i => Wallet.fromMnemonic(MNEMONIC, `m/44'/60'/0'/0/${i}`).connect(_provider));
+            const _targets = ['90', '110', '100', '95', '105'].map(balance => utils.parseEther(balance));
+
+            const _errors = await fundAccounts(_provider, _wallets.map((wallet, i) => ({ wallet, balance: _targets[i] })));
+
+            // One read of its own balance per account, and of the others' once.
+            assert.strictEqual(_reads, 5 + 4);
+
+            // The transfer fees leave the last account short.
+            assert.deepStrictEqual(_errors.slice(0, 4), [null, null, null, null]);
+            assert.ok(_errors[4] instanceof Error);
+            for (const [i, _wallet] of _wallets.slice(0, 4).entries()) {
+                assert.ok((await _wallet.getBalance()).eq(_targets[i]), `account ${i}`);
+            }
+        }
+        finally {
+            await _node.close();
+        }
+    });
+
+    test('remembers the set-balance method of a node', async () => {
+        const _node = await startRpcStub(({ method }) => method === 'hardhat_setBalance' ? true : { error: { code: -32601, message: 'Method not found' } });
+        const _provider = new JsonRpcProvider(_node.url);
+        const _address = Wallet.createRandom().address;
+
+        try {
+            for (let i = 0; i < 3; i++) assert.strictEqual(await setBalanceByRpc(_provider, _address, utils.parseEther('1')), true);
+
+            assert.deepStrictEqual(_node.requests.map(request => request.method), [
+                'evm_setAccountBalance', 'hardhat_setBalance', 'hardhat_setBalance', 'hardhat_setBalance',
+            ]);
+        }
+        finally {
+            await _node.close();
+        }
+    });
+
+    test('remembers that a node cannot set balances', async () => {
+        const _node = await startRpcStub(() => ({ error: { code: -32601, message: 'Method not found' } }));
+        const _provider = new JsonRpcProvider(_node.url);
+        const _address = Wallet.createRandom().address;
+
+        try {
+            assert.strictEqual(await setBalanceByRpc(_provider, _address, utils.parseEther('1')), false);
+            assert.strictEqual(await setBalanceByRpc(_provider, _address, utils.parseEther('1')), false);
+            assert.strictEqual(_node.requests.length, SET_BALANCE_METHODS.length);
+        }
+        finally {
+            await _node.close();
+        }
+    });
+});
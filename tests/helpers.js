@@ -0,0 +1,136 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Ganache = require('ganache-core');
+
+const MNEMONIC = 'radar blur cabbage chef fix engine embark joy scheme fiction master release';
+
+// The accounts of a stand-in node, distinct from the wallet's.
+const NODE_MNEMONIC = 'test test test test test test test test test test test junk';
+
+/**
+ * Start a ganache-core node on a free port.
+ *
+ * @param {Object} [options] The ganache-core server options.
+ * @returns {Promise<{url: string, server: Object, close: Function}>} The node.
+ */
+const startNode = (options = {}) => new Promise((resolve, reject) => {
+    const _server = Ganache.server({ mnemonic: NODE_MNEMONIC, logger: { log: () => { } }, ...options });
+
+    _server.listen(0, '127.0.0.1', (err) => {
+        if (err) return reject(err);
+
+        resolve({
+            url: `http://127.0.0.1:${_server.address().port}`,
+            server: _server,
+            close: () => new Promise(done => _server.close(() => done())),
+        });
+    });
+});
+
+/**
+ * Start a stand-in JSON-RPC node answering with a script.
+ *
+ * @param {Function} respond Get the answer to a request `{method, params}` and its count
+ * among the requests of that method: a result, an
+ * `{error}` JSON-RPC error, an `{status}` HTTP failure or a `{delay, answer}` late answer.
+ * @param {Object} [options]
+ * @param {string} [options.chainId] The `eth_chainId` result. Defaults to `0x1`.
+ * @param {boolean} [options.batches] Whether to answer batches, rather than refuse them
+ * with a `-32600` error. Defaults to true.
+ * @returns {Promise<{url: string, requests: Array, batches: Array, close: Function}>} The
+ * node, the requests it got other than `eth_chainId` and the sizes of the batches.
+ */
+const startRpcStub = (respond, { chainId = '0x1', batches = true } = {}) => new Promise(resolve => {
+    const _requests = [];
+    const _batches = [];
+
+    const _answer = async (request) => {
+        if (request.method === 'eth_chainId') return { result: chainId };
+
+        _requests.push(request);
+        let _reply = await respond(request, _requests.filter(_request => _request.method === request.method).length);
+
+        if (_reply?.delay) {
+            await new Promise(done => setTimeout(done, _reply.delay));
+            _reply = _reply.answer;
+        }
+
+        return _reply?.error || _reply?.status ? _reply : { result: _reply };
+    }
+
+    const _server = http.createServer((req, res) => {
+        let _body = '';
+        req.on('data', chunk => { _body += chunk; });
+        req.on('end', async () => {
+            const _payload = JSON.parse(_body);
+
+            if (Array.isArray(_payload)) {
+                if (!batches) {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'batch requests are not supported' } }));
+                }
+
+                _batches.push(_payload.length);
+            }
+
+            const _answers = await Promise.all((Array.isArray(_payload) ? _payload : [_payload]).map(_answer));
+            const _failed = _answers.find(answer => answer.status);
+
+            if (_failed) {
+                res.writeHead(_failed.status);
+                return res.end();
+            }
+
+            const _responses = _answers.map((answer, i) => {
+                return { jsonrpc: '2.0', id: (Array.isArray(_payload) ? _payload[i] : _payload).id, ...answer };
+            });
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(Array.isArray(_payload) ? _responses : _responses[0]));
+        });
+    });
+
+    _server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${_server.address().port}`,
+        requests: _requests,
+        batches: _batches,
+        // Stop accepting first, so no keep-alive connection outlives the close.
+        close: () => new Promise(done => { _server.close(() => done()); _server.closeAllConnections(); }),
+    }));
+});
+
+/**
+ * Get the URL of an endpoint dropping every connection. The port stays held, so no server
+ * started meanwhile, e.g. by another test file, can take it over.
+ *
+ * @returns {Promise<string>} The URL.
+ */
+const unreachableUrl = () => new Promise(resolve => {
+    const _server = net.createServer(socket => socket.destroy());
+
+    _server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${_server.address().port}`));
+    _server.unref();
+});
+
+/**
+ * Create a temporary directory, removed by the returned cleanup.
+ *
+ * @returns {{dir: string, cleanup: Function}} The directory.
+ */
+const tempDir = () => {
+    const _dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web3-wallet-'));
+
+    return { dir: _dir, cleanup: () => fs.rmSync(_dir, { recursive: true, force: true }) };
+}
+
+module.exports = {
+    MNEMONIC,
+    NODE_MNEMONIC,
+    startNode,
+    startRpcStub,
+    tempDir,
+    unreachableUrl,
+};
@@ -0,0 +1,129 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Wallet, utils, providers: { JsonRpcProvider } } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC, NODE_MNEMONIC, startNode, tempDir } = require('./helpers');
+
+describe('fork', () => {
+    let _node;
+    const _whale = Wallet.fromMnemonic(NODE_MNEMONIC).address;
+
+    before(async () => { _node = await startNode({ default_balance_ether: 1000 }); });
+    after(() => _node.close());
+
+    test('forks the state of another node and funds the accounts on top', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, chainOptions: { fork: _node.url } });
+        const [_wallets, _balances] = await _wallet.ready;
+
+        assert.deepStrictEqual(_balances, ['100', '100']);
+        assert.ok((await _wallet.provider.getBalance(_whale)).eq(utils.parseEther('1000')));
+
+        await _wallet.impersonate(_whale).then(signer => signer.sendTransaction({
+            to: _wallets[0].address, value: utils.parseEther('10'),
+        })).then(tx => tx.wait());
+
+        assert.ok((await _wallets[0].getBalance()).eq(utils.parseEther('110')));
+
+        // The forked node is left untouched.
+        const _source = new JsonRpcProvider(_node.url);
+        assert.ok((await _source.getBalance(_whale)).eq(utils.parseEther('1000')));
+    });
+
+    test('forks at a block number', async () => {
+        const _source = new JsonRpcProvider(_node.url);
+        const _blockNumber = await _source.getBlockNumber();
+        await _source.getSigner(_whale).sendTransaction({ to: _whale, value: 0 }).then(tx => tx.wait());
+
+        const _wallet = await Web3Wallet.create({
+            mnemonic: MNEMONIC, numberOfWallets: 1, chainOptions: { fork: { url: _node.url, blockNumber: _blockNumber } },
+        });
+
+        assert.strictEqual(await _wallet.provider.getTransactionCount(_whale, _blockNumber), await _source.getTransactionCount(_whale, _blockNumber));
+        assert.ok(await _wallet.provider.getBlockNumber() >= _blockNumber);
+    });
+
+    test('unlocks the impersonate chain option from the start', async () => {
+        const _wallet = await Web3Wallet.create({
+            mnemonic: MNEMONIC, numberOfWallets: 1, chainOptions: { fork: _node.url, impersonate: [_whale] },
+        });
+        const [[_account]] = await _wallet.ready;
+
+        await _wallet.provider.getSigner(_whale)
+            .sendTransaction({ to: _account.address, value: utils.parseEther('1') })
+            .then(tx => tx.wait());
+
+        assert.ok((await _account.getBalance()).eq(utils.parseEther('101')));
+    });
+});
+
+describe('impersonation', () => {
+    test('sends as an address without its key until stopped', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+        const [_wallets] = await _wallet.ready;
+        const _stranger = Wallet.createRandom().address;
+
+        await _wallet.setBalance(1, '50');
+        await _wallet.send({ from: 0, to: _stranger, amount: '5' });
+
+        const _signer = await _wallet.impersonate(_stranger);
+        await _signer.sendTransaction({ to: _wallets[1].address, value: utils.parseEther('1') }).then(tx => tx.wait());
+        assert.ok((await _wallets[1].getBalance()).eq(utils.parseEther('51')));
+
+        await _wallet.stopImpersonating(_stranger);
+        await assert.rejects(_signer.sendTransaction({ to: _wallets[1].address, value: 1 }));
+    });
+});
+
+describe('persistence', () => {
+    let _temp;
+
+    before(() => { _temp = tempDir(); });
+    after(() => _temp.cleanup());
+
+    test('reloads a saved chain and resets it', async () => {
+        const _dbPath = path.join(_temp.dir, 'chain');
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, chainOptions: { dbPath: _dbPath } });
+
+        await _wallet.send({ from: 0, to: 1, amount: '10' });
+        const _blockNumber = await _wallet.provider.getBlockNumber();
+
+        // Setting the options restarts the chain from its saved state.
+        _wallet.chainOptions = { dbPath: _dbPath };
+        const [_, _reloaded] = await _wallet.ready;
+
+        assert.strictEqual(_reloaded[1], '110');
+        assert.strictEqual(await _wallet.provider.getBlockNumber(), _blockNumber);
+
+        const [__, _reset] = await _wallet.resetChain();
+
+        assert.deepStrictEqual(_reset, ['100', '100']);
+        assert.strictEqual(await _wallet.provider.getBlockNumber(), 0);
+    });
+
+    test('lists, copies and removes named states', async () => {
+        const _dir = path.join(_temp.dir, 'states');
+        const _wallet = await Web3Wallet.create({
+            mnemonic: MNEMONIC, numberOfWallets: 1, chainOptions: { dbPath: path.join(_dir, 'fixture') },
+        });
+
+        await _wallet.send({ from: 0, to: Wallet.createRandom().address, amount: '1' });
+        _wallet.chainOptions = {};
+        await _wallet.ready;
+
+        await Web3Wallet.copyChainState('fixture', 'run', { dir: _dir });
+        await assert.rejects(Web3Wallet.copyChainState('fixture', 'run', { dir: _dir }), /already exists/);
+        assert.deepStrictEqual((await Web3Wallet.listChainStates(_dir)).map(state => state.name), ['fixture', 'run']);
+
+        const _run = await Web3Wallet.create({
+            mnemonic: MNEMONIC, numberOfWallets: 1, chainOptions: { dbPath: path.join(_dir, 'run') },
+        });
+        assert.match((await _run.ready)[1][0], /^98\.99/);
+
+        _run.chainOptions = {};
+        await _run.ready;
+        await Web3Wallet.removeChainState('run', { dir: _dir });
+        assert.deepStrictEqual((await Web3Wallet.listChainStates(_dir)).map(state => state.name), ['fixture']);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { DerivationError } = require('../src/errors');
+const { MNEMONIC } = require('./helpers');
+
+const PASSWORD = 'correct horse battery staple';
+const FAST_SCRYPT = { scrypt: { N: 1024 } };
+
+describe('fromKeystore', () => {
+    test('restores the HD tree along the keystore derivation path', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, derivationPath: 'LEDGER_LIVE' });
+        const _address = (await _wallet.getAccount(1)).address;
+        const _keystore = await _wallet.exportKeystore(1, PASSWORD, FAST_SCRYPT);
+
+        const _restored = await Web3Wallet.fromKeystore(_keystore, PASSWORD);
+        const [_wallets] = await _restored.ready;
+
+        assert.strictEqual(_restored.derivationPath, 'LEDGER_LIVE');
+        assert.strictEqual(_wallets[1].address, _address);
+    });
+
+    test('throws if the keystore account is not among the restored accounts', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, derivationPath: 'LEDGER_LIVE' });
+        const _keystore = await _wallet.exportKeystore(1, PASSWORD, FAST_SCRYPT);
+
+        await assert.rejects(Web3Wallet.fromKeystore(_keystore, PASSWORD, { derivationPath: 'BIP44' }), DerivationError);
+    });
+});
@@ -0,0 +1,88 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { NonLocalNetworkError } = require('../src/errors');
+const { MNEMONIC, startRpcStub } = require('./helpers');
+
+describe('local chain control', () => {
+    let _wallet;
+
+    before(async () => {
+        _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+    });
+
+    test('reverts to a snapshot and reloads the balances', async () => {
+        const _id = await _wallet.snapshot();
+        await _wallet.send({ from: 0, to: 1, amount: '1' });
+        assert.strictEqual(_wallet.bip44Wallet[1][1], '101');
+
+        assert.strictEqual(await _wallet.revert(_id), true);
+        assert.deepStrictEqual(_wallet.bip44Wallet[1], ['100', '100']);
+        assert.strictEqual(await _wallet.revert(_id), false);
+    });
+
+    test('sends with the reverted nonces', async () => {
+        const _id = await _wallet.snapshot();
+        const _first = await _wallet.send({ from: 0, to: 1, amount: '1' });
+        await _wallet.revert(_id);
+
+        const _second = await _wallet.send({ from: 0, to: 1, amount: '2' });
+        // Not getTransaction, which waits for the transactions ethers has seen.
+        const [_before, _after] = await Promise.all([_first, _second]
+            .map(receipt => _wallet.provider.send('eth_getTransactionByHash', [receipt.transactionHash])));
+
+        assert.strictEqual(_before, null);
+        assert.strictEqual(parseInt(_after.nonce), 0);
+        assert.strictEqual(_wallet.bip44Wallet[1][1], '102');
+        await _wallet.revert(_id);
+    });
+
+    test('mines blocks and moves the clock', async () => {
+        const _start = await _wallet.provider.getBlock('latest');
+
+        assert.strictEqual(await _wallet.mine(3), _start.number + 3);
+
+        await _wallet.increaseTime(3600);
+        await _wallet.mine();
+        assert.ok((await _wallet.provider.getBlock('latest')).timestamp >= _start.timestamp + 3600);
+
+        const _timestamp = Math.floor(new Date('2030-01-01').getTime() / 1000);
+        await _wallet.setNextBlockTimestamp(new Date('2030-01-01'));
+        await _wallet.mine();
+        const { timestamp } = await _wallet.provider.getBlock('latest');
+        assert.ok(timestamp >= _timestamp && timestamp < _timestamp + 60, `${timestamp} is not about ${_timestamp}`);
+    });
+});
+
+describe('non-local chain control', () => {
+    let _node;
+    let _wallet;
+
+    before(async () => {
+        _node = await startRpcStub(() => '0x0');
+        _wallet = await Web3Wallet.create({
+            mnemonic: MNEMONIC,
+            numberOfWallets: 1,
+            network: 'REMOTE',
+            networks: { REMOTE: { type: 'jsonrpc', rpcUrls: [_node.url] } },
+        });
+    });
+
+    after(() => _node.close());
+
+    test('throws NonLocalNetworkError', async () => {
+        for (const _control of [
+            () => _wallet.snapshot(),
+            () => _wallet.revert('0x1'),
+            () => _wallet.increaseTime(60),
+            () => _wallet.mine(),
+            () => _wallet.setNextBlockTimestamp(new Date()),
+            () => _wallet.resetChain(),
+        ]) {
+            await assert.rejects(_control(), (err) => err instanceof NonLocalNetworkError && err.network === 'REMOTE');
+        }
+
+        assert.strictEqual(_node.requests.filter(request => request.method.startsWith('evm_')).length, 0);
+    });
+});
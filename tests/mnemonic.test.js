@@ -0,0 +1,83 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Wallet, wordlists } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { InvalidMnemonicError } = require('../src/errors');
+const { detectLocale, generateMnemonic, validateMnemonic } = require('../src/mnemonic');
+const { MNEMONIC } = require('./helpers');
+
+const _words = MNEMONIC.split(' ');
+
+describe('validateMnemonic', () => {
+    test('accepts a valid mnemonic', () => {
+        assert.deepStrictEqual(validateMnemonic(MNEMONIC), { valid: true, locale: 'en' });
+        assert.deepStrictEqual(validateMnemonic(`  ${_words.join('   ')}\n`), { valid: true, locale: 'en' });
+    });
+
+    test('reports an unknown word with suggestions', () => {
+        const _result = validateMnemonic([..._words.slice(0, 2), 'cabage', ..._words.slice(3)].join(' '));
+
+        assert.strictEqual(_result.valid, false);
+        assert.strictEqual(_result.reason, 'UNKNOWN_WORD');
+        assert.strictEqual(_result.word, 'cabage');
+        assert.strictEqual(_result.position, 2);
+        assert.strictEqual(_result.suggestions[0], 'cabbage');
+        assert.match(_result.message, /Did you mean: cabbage/);
+    });
+
+    test('reports an invalid word count', () => {
+        const _result = validateMnemonic(_words.slice(0, 11).join(' '));
+
+        assert.strictEqual(_result.reason, 'INVALID_WORD_COUNT');
+        assert.match(_result.message, /has 11 words, expected 12, 15, 18, 21, 24/);
+    });
+
+    test('reports an invalid checksum', () => {
+        const _result = validateMnemonic([..._words.slice(0, 11), 'radar'].join(' '));
+
+        assert.deepStrictEqual({ valid: _result.valid, reason: _result.reason }, { valid: false, reason: 'INVALID_CHECKSUM' });
+    });
+
+    test('checks against the given locale', () => {
+        assert.strictEqual(validateMnemonic(MNEMONIC, { locale: 'ES' }).reason, 'UNKNOWN_WORD');
+        assert.throws(() => validateMnemonic(MNEMONIC, { locale: 'xx' }), /Unknown wordlist locale 'xx'/);
+    });
+});
+
+describe('detectLocale', () => {
+    for (const locale of ['en', 'es', 'fr', 'it', 'ja', 'ko', 'cz', 'zh_cn', 'zh_tw']) {
+        test(`detects ${locale} mnemonics`, () => {
+            const _mnemonic = generateMnemonic({ locale });
+
+            assert.strictEqual(detectLocale(_mnemonic), locale);
+            assert.deepStrictEqual(validateMnemonic(_mnemonic), { valid: true, locale });
+        });
+    }
+
+    test('defaults to English', () => {
+        assert.strictEqual(detectLocale('not a mnemonic'), 'en');
+        assert.strictEqual(detectLocale(''), 'en');
+    });
+});
+
+describe('non-English mnemonics', () => {
+    for (const locale of ['es', 'ja']) {
+        test(`derives the accounts of ${locale} mnemonics`, async () => {
+            const _mnemonic = generateMnemonic({ locale });
+            const _wallet = await Web3Wallet.create({ mnemonic: _mnemonic, numberOfWallets: 2 });
+
+            assert.deepStrictEqual(await _wallet.getPublicKeys(), [0, 1].map(i => {
+                return Wallet.fromMnemonic(_mnemonic, `m/44'/60'/0'/0/${i}`, wordlists[locale]).address;
+            }));
+        });
+    }
+
+    test('rejects a mnemonic invalid in its locale', async () => {
+        const _mnemonic = generateMnemonic({ locale: 'es' }).split(' ').slice(0, 11).join(' ');
+
+        await assert.rejects(Web3Wallet.create({ mnemonic: _mnemonic, numberOfWallets: 1 }), (err) => {
+            return err instanceof InvalidMnemonicError && err.validation.reason === 'INVALID_WORD_COUNT' && err.validation.locale === 'es';
+        });
+    });
+});
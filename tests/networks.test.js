@@ -0,0 +1,86 @@
+const { afterEach, describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { ChainIdMismatchError } = require('../src/errors');
+const { getNetworkConfig, getNetworkNames, readNetworks, registerNetwork } = require('../src/networks');
+const { MNEMONIC, startNode, startRpcStub } = require('./helpers');
+
+describe('network registry', () => {
+    test('registers networks by case-insensitive name', () => {
+        registerNetwork('Registry_Test', { type: 'jsonrpc', rpcUrls: ['http://127.0.0.1:{rpcPort}'], chainId: 7 });
+
+        assert.ok(getNetworkNames().includes('REGISTRY_TEST'));
+        assert.strictEqual(getNetworkConfig('registry_test').chainId, 7);
+        assert.ok(!getNetworkNames().includes('GOERLI'));
+    });
+
+    test('rejects configurations without a known type or the rpcUrls of their type', () => {
+        assert.throws(() => registerNetwork('BAD', { type: 'http' }), /needs a type/);
+        assert.throws(() => registerNetwork('BAD', { type: 'websocket' }), /needs rpcUrls/);
+        assert.throws(() => readNetworks({ bad: { type: 'http', rpcUrls: ['http://127.0.0.1:8545'] } }), /Network 'bad' needs a type/);
+        assert.throws(() => new Web3Wallet({ mnemonic: MNEMONIC, networks: { bad: { type: 'ipc' } } }), /needs rpcUrls/);
+        assert.ok(!getNetworkNames().includes('BAD'));
+    });
+
+    test('gives the networks param precedence over the registry', () => {
+        const _networks = readNetworks({ mainnet: { type: 'jsonrpc', rpcUrls: ['http://127.0.0.1:8545'] } });
+
+        assert.strictEqual(getNetworkConfig('MAINNET', _networks).type, 'jsonrpc');
+        assert.strictEqual(getNetworkConfig('MAINNET').type, 'alchemy');
+        assert.throws(() => getNetworkConfig('NOWHERE', _networks), { name: 'UnsupportedNetworkError' });
+    });
+});
+
+describe('network providers', () => {
+    let _nodes = [];
+
+    afterEach(async () => {
+        await Promise.all(_nodes.map(node => node.close()));
+        _nodes = [];
+    });
+
+    test('rejects a node reporting another chain id than the network', async () => {
+        const _node = await startRpcStub(() => '0x0', { chainId: '0x1' });
+        _nodes.push(_node);
+
+        const _wallet = new Web3Wallet({
+            mnemonic: MNEMONIC,
+            network: 'WRONG_CHAIN',
+            networks: { WRONG_CHAIN: { type: 'jsonrpc', rpcUrls: [_node.url], chainId: 5 } },
+        });
+
+        await assert.rejects(_wallet.ready, (err) => {
+            assert.ok(err instanceof ChainIdMismatchError);
+            assert.strictEqual(err.expected, 5);
+            assert.strictEqual(err.actual, 1);
+            assert.strictEqual(err.network, 'WRONG_CHAIN');
+
+            return true;
+        });
+    });
+
+    test('closes the WebSocket connection of a replaced provider', async () => {
+        const _node = await startNode();
+        const _stub = await startRpcStub(() => '0x0');
+        _nodes.push(_node, _stub);
+
+        const _wallet = await Web3Wallet.create({
+            mnemonic: MNEMONIC,
+            numberOfWallets: 1,
+            network: 'WS',
+            networks: {
+                WS: { type: 'websocket', rpcUrls: [_node.url.replace('http', 'ws')] },
+                STUB: { type: 'jsonrpc', rpcUrls: [_stub.url] },
+            },
+        });
+        const _websocket = _wallet.provider.websocket;
+        assert.strictEqual(_websocket.readyState, _websocket.OPEN);
+
+        _wallet.network = 'STUB';
+        await _wallet.ready;
+
+        await new Promise(resolve => _websocket.readyState === _websocket.CLOSED ? resolve() : _websocket.on('close', resolve));
+        assert.strictEqual(_websocket.readyState, _websocket.CLOSED);
+    });
+});
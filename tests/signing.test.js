@@ -0,0 +1,84 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { ContractFactory, Wallet } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { MNEMONIC } = require('./helpers');
+const { TestPermitToken } = require('./fixtures/tokens.json');
+
+const DOMAIN = { name: 'Mail', version: '1', chainId: 1447, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' };
+
+const TYPES = {
+    Mail: [
+        { name: 'to', type: 'address' },
+        { name: 'contents', type: 'string' },
+    ],
+};
+
+describe('signing', () => {
+    let _wallet;
+
+    before(async () => {
+        _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 3, aliases: { deployer: 0, signer: 2 } });
+    });
+
+    test('maps a signed message back to its account and alias', async () => {
+        const _signature = await _wallet.signMessage('signer', 'hello');
+
+        assert.deepStrictEqual(await _wallet.verifyMessage('hello', _signature), {
+            address: (await _wallet.getAccount(2)).address, index: 2, alias: 'signer',
+        });
+        assert.strictEqual((await _wallet.verifyMessage('goodbye', _signature)).index, null);
+    });
+
+    test('maps signed typed data back to its account', async () => {
+        const _value = { to: (await _wallet.getAccount('deployer')).address, contents: 'hello' };
+        const _signature = await _wallet.signTypedData(1, DOMAIN, TYPES, _value);
+
+        assert.deepStrictEqual(await _wallet.verifyTypedData(DOMAIN, TYPES, _value, _signature), {
+            address: (await _wallet.getAccount(1)).address, index: 1, alias: null,
+        });
+    });
+
+    test('gives no index to signers outside the wallet', async () => {
+        const _stranger = Wallet.createRandom();
+        const _value = { to: _stranger.address, contents: 'hello' };
+
+        assert.deepStrictEqual(await _wallet.verifyMessage('hello', await _stranger.signMessage('hello')), {
+            address: _stranger.address, index: null, alias: null,
+        });
+        assert.strictEqual((await _wallet.verifyTypedData(DOMAIN, TYPES, _value, await _stranger._signTypedData(DOMAIN, TYPES, _value))).index, null);
+    });
+
+    test('finds signers past numberOfWallets', async () => {
+        const _signature = await _wallet.signMessage(7, 'hello');
+
+        assert.strictEqual((await _wallet.verifyMessage('hello', _signature)).index, 7);
+    });
+
+    test('counts signer indices from startIndex', async () => {
+        const _offset = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, startIndex: 2 });
+
+        assert.strictEqual((await _offset.verifyMessage('hello', await _wallet.signMessage('signer', 'hello'))).index, 0);
+        assert.strictEqual((await _offset.verifyMessage('hello', await _wallet.signMessage(5, 'hello'))).index, 3);
+        assert.strictEqual((await _offset.verifyMessage('hello', await _wallet.signMessage('deployer', 'hello'))).index, null);
+    });
+
+    test('signs a permit the token accepts', async () => {
+        const [[_deployer, _spender]] = await _wallet.ready;
+        const _token = await (await new ContractFactory(TestPermitToken.abi, TestPermitToken.bytecode, _deployer).deploy('Permit Token')).deployed();
+
+        const _permit = await _wallet.signPermit('deployer', { token: _token.address, spender: 1, value: 1000 });
+        const { owner, spender, value, deadline } = _permit.value;
+
+        assert.deepStrictEqual(await _wallet.verifyTypedData(_permit.domain, _permit.types, _permit.value, _permit.signature), {
+            address: _deployer.address, index: 0, alias: 'deployer',
+        });
+
+        await (await _token.connect(_spender).permit(owner, spender, value, deadline, _permit.v, _permit.r, _permit.s)).wait();
+
+        assert.strictEqual((await _token.allowance(_deployer.address, _spender.address)).toNumber(), 1000);
+        assert.strictEqual((await _token.nonces(_deployer.address)).toNumber(), 1);
+        assert.strictEqual((await _wallet.signPermit('deployer', { token: _token.address, spender: 1, value: 1 })).value.nonce, '1');
+    });
+});
@@ -0,0 +1,111 @@
+const { before, describe, test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { ContractFactory, Wallet } = require('ethers');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { getNftHoldings, getTokenBalances } = require('../src/tokens');
+const { MNEMONIC } = require('./helpers');
+const { TestCollection, TestToken } = require('./fixtures/tokens.json');
+
+const _deploy = async (artifact, signer, ...args) => {
+    const _contract = await new ContractFactory(artifact.abi, artifact.bytecode, signer).deploy(...args);
+
+    return _contract.deployed();
+}
+
+const _mint = async (contract, ...args) => (await contract.mint(...args)).wait();
+
+describe('tokens', () => {
+    let _wallet;
+    let _addresses;
+    let _usdc;
+    let _dai;
+    let _enumerable;
+    let _plain;
+
+    before(async () => {
+        _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 3 });
+        const [[_deployer]] = await _wallet.ready;
+        _addresses = await _wallet.getPublicKeys();
+
+        _usdc = await _deploy(TestToken, _deployer, 'USDC', 6);
+        _dai = await _deploy(TestToken, _deployer, 'DAI', 18);
+        _enumerable = await _deploy(TestCollection, _deployer, 'PUNK', true);
+        _plain = await _deploy(TestCollection, _deployer, 'APE', false);
+
+        await _mint(_usdc, _addresses[0], 12500000);
+        await _mint(_dai, _addresses[2], '3000000000000000000');
+        await _mint(_enumerable, _addresses[1], 7);
+        await _mint(_enumerable, _addresses[1], 9);
+        await _mint(_plain, _addresses[0], 1);
+        await _mint(_plain, _addresses[2], 2);
+    });
+
+    test('gets the ERC-20 balances and decimals of every account', async () => {
+        const _balances = await _wallet.getTokenBalances([_usdc.address, _dai.address]);
+
+        assert.deepStrictEqual(_balances.map(balances => balances.map(({ symbol, decimals, balance, formatted }) => {
+            return { symbol, decimals, balance, formatted };
+        })), [
+            [{ symbol: 'USDC', decimals: 6, balance: '12500000', formatted: '12.5' }, { symbol: 'DAI', decimals: 18, balance: '0', formatted: '0.0' }],
+            [{ symbol: 'USDC', decimals: 6, balance: '0', formatted: '0.0' }, { symbol: 'DAI', decimals: 18, balance: '0', formatted: '0.0' }],
+            [{ symbol: 'USDC', decimals: 6, balance: '0', formatted: '0.0' }, { symbol: 'DAI', decimals: 18, balance: '3000000000000000000', formatted: '3.0' }],
+        ]);
+    });
+
+    test('gives the same balances in batches of any size', async () => {
+        const _tokens = [_usdc.address, _dai.address];
+
+        assert.deepStrictEqual(
+            await getTokenBalances(_wallet.provider, _tokens, _addresses, { batchSize: 1 }),
+            await _wallet.getTokenBalances(_tokens)
+        );
+    });
+
+    test('lists ERC-721 tokens by enumeration or candidate ids', async () => {
+        const _holdings = await _wallet.getNftHoldings([_enumerable.address, _plain.address], {
+            tokenIds: { [_plain.address]: [1, 2, 3] },
+        });
+
+        assert.deepStrictEqual(_holdings.map(holdings => holdings.map(({ symbol, balance, tokenIds }) => {
+            return { symbol, balance, tokenIds };
+        })), [
+            [{ symbol: 'PUNK', balance: 0, tokenIds: [] }, { symbol: 'APE', balance: 1, tokenIds: ['1'] }],
+            [{ symbol: 'PUNK', balance: 2, tokenIds: ['7', '9'] }, { symbol: 'APE', balance: 0, tokenIds: [] }],
+            [{ symbol: 'PUNK', balance: 0, tokenIds: [] }, { symbol: 'APE', balance: 1, tokenIds: ['2'] }],
+        ]);
+
+        const [[_unlisted]] = await getNftHoldings(_wallet.provider, [_plain.address], [_addresses[0]], {}, { batchSize: 1 });
+        assert.strictEqual(_unlisted.tokenIds, null);
+    });
+
+    test('prints a tokens column', async () => {
+        const _stream = new PassThrough();
+        let _output = '';
+        _stream.on('data', chunk => { _output += chunk; });
+
+        await _wallet.printKeyPairs({ format: 'json', columns: ['address'], tokens: [_usdc.address, _dai.address], stream: _stream });
+
+        assert.deepStrictEqual(JSON.parse(_output).map(row => row.tokens), [
+            '12.5 USDC, 0.0 DAI',
+            '0.0 USDC, 0.0 DAI',
+            '0.0 USDC, 3.0 DAI',
+        ]);
+    });
+
+    test('leaves the tokens column empty without tokens', async () => {
+        let _json = '';
+        let _table = '';
+
+        await _wallet.printKeyPairs({ format: 'json', columns: ['index', 'tokens'], stream: { write: chunk => { _json += chunk; } } });
+        await _wallet.printKeyPairs({ columns: ['index', 'tokens'], stream: { write: chunk => { _table += chunk; } } });
+
+        assert.deepStrictEqual(JSON.parse(_json).map(row => row.tokens), ['', '', '']);
+        assert.doesNotMatch(_table, /null|\[\]/);
+    });
+
+    test('rejects addresses without a token contract', async () => {
+        await assert.rejects(_wallet.getTokenBalances([Wallet.createRandom().address]));
+    });
+});
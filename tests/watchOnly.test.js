@@ -0,0 +1,57 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const Web3Wallet = require('../src/Web3Wallet');
+const { DerivationError, WatchOnlyError } = require('../src/errors');
+const { MNEMONIC } = require('./helpers');
+
+describe('watch-only wallets', () => {
+    for (const derivationPath of ['BIP44', 'LEGACY_MEW', "m/44'/60'/1'/0/{index}"]) {
+        test(`derive the addresses of a ${derivationPath} wallet from its xpub`, async () => {
+            const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 3, startIndex: 2, derivationPath });
+            const _watcher = await Web3Wallet.create({
+                extendedPublicKey: _wallet.getExtendedPublicKey(), numberOfWallets: 3, startIndex: 2, derivationPath,
+            });
+
+            assert.ok(_watcher.watchOnly);
+            assert.deepStrictEqual(await _watcher.getPublicKeys(), await _wallet.getPublicKeys());
+            assert.deepStrictEqual(
+                _watcher.findAddress((await _wallet.getPublicKeys())[1]).index,
+                _wallet.findAddress((await _wallet.getPublicKeys())[1]).index
+            );
+        });
+    }
+
+    test('takes the xpub of another BIP44 account', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2, derivationPath: "m/44'/60'/1'/0/{index}" });
+        const _bip44 = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+
+        assert.strictEqual(_wallet.getExtendedPublicKey(0), _bip44.getExtendedPublicKey());
+        assert.notStrictEqual(_wallet.getExtendedPublicKey(), _bip44.getExtendedPublicKey());
+    });
+
+    test('throws for paths an xpub cannot reproduce', async () => {
+        const _ledger = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1, derivationPath: 'LEDGER_LIVE' });
+        const _custom = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 1, derivationPath: 'm/0/{index}' });
+
+        assert.throws(() => _ledger.getExtendedPublicKey(), DerivationError);
+        assert.throws(() => _custom.getExtendedPublicKey(1), DerivationError);
+        await assert.rejects(Web3Wallet.create({
+            extendedPublicKey: _custom.getExtendedPublicKey(), numberOfWallets: 1, derivationPath: 'LEDGER_LIVE',
+        }), DerivationError);
+    });
+
+    test('has no private keys', async () => {
+        const _wallet = await Web3Wallet.create({ mnemonic: MNEMONIC, numberOfWallets: 2 });
+        const _watcher = await Web3Wallet.create({ extendedPublicKey: _wallet.getExtendedPublicKey(), numberOfWallets: 2 });
+
+        assert.deepStrictEqual((await _watcher.ready)[1], (await _wallet.ready)[1].map(() => '0'));
+        assert.throws(() => _watcher.getExtendedPublicKey(), WatchOnlyError);
+        await assert.rejects(_watcher.getPrivateKeys(), WatchOnlyError);
+        await assert.rejects(_watcher.send({ from: 0, to: 1, amount: '1' }), WatchOnlyError);
+        await assert.rejects(_watcher.signMessage(0, 'hello'), WatchOnlyError);
+        await assert.rejects(_watcher.exportKeystore(0, 'password'), WatchOnlyError);
+        await assert.rejects(_watcher.exportTruffleConfig(), WatchOnlyError);
+        await assert.rejects(_watcher.printKeyPairs({ columns: ['address', 'privateKey'] }), WatchOnlyError);
+    });
+});